@@ -0,0 +1,225 @@
+// Automation for headless runs: URL parameters, the window.benchmark3d API
+// and posting results to a collector endpoint
+import { qualitySettings } from "./presets.js";
+import { targetRates } from "./maxLoad.js";
+import { validateWorkload } from "./workload.js";
+
+export const DEFAULT_DURATION = 30;
+// Seconds rendered before each stage is measured
+export const DEFAULT_WARMUP = 1;
+
+const backends = ["webgpu", "webgl"];
+const simulations = ["cpu", "gpu"];
+const objectModes = ["meshes", "instanced"];
+
+// Named internal render resolutions; "window" follows the window size
+const namedResolutions = {
+    window: "window",
+    "720p": "1280x720",
+    "1080p": "1920x1080",
+    "1440p": "2560x1440",
+    "4k": "3840x2160"
+};
+
+// "1080p" or "1920x1080" -> "1920x1080", "window" stays as is
+function normalizeResolution(value) {
+    const text = String(value).trim().toLowerCase();
+    const resolved = namedResolutions[text] ?? text;
+    if (resolved !== "window" && !/^[1-9]\d*x[1-9]\d*$/.test(resolved)) {
+        throw new Error(
+            `Invalid resolution "${value}", use WxH, 720p, 1080p, 1440p, 4k or window`
+        );
+    }
+    return resolved;
+}
+
+// Results only go to a collector on this machine or this site, so a shared
+// link can't send them, UA and GPU details included, to another host
+const loopbackHosts = ["localhost", "127.0.0.1", "[::1]"];
+
+function checkReportEndpoint(value) {
+    let url;
+    try {
+        url = new URL(value, location.href);
+    } catch (e) {
+        throw new Error(`Invalid report URL "${value}"`);
+    }
+    if (
+        !["http:", "https:"].includes(url.protocol) ||
+        (url.origin !== location.origin &&
+            !loopbackHosts.includes(url.hostname))
+    ) {
+        throw new Error(
+            `Report URL "${value}" must be on localhost or this site`
+        );
+    }
+    return url.href;
+}
+
+// "1920x1080" -> { width: 1920, height: 1080 }, "window" -> null
+export function parseResolution(value) {
+    const resolved = normalizeResolution(value);
+    if (resolved === "window") return null;
+    const [width, height] = resolved.split("x").map(Number);
+    return { width, height };
+}
+
+// Check run options and fill in resolution objects; throws on bad values so
+// a misconfigured CI job fails instead of measuring the wrong thing
+export function validateRunOptions(options = {}) {
+    const checked = { ...options };
+    if (
+        checked.quality !== undefined &&
+        !Object.hasOwn(qualitySettings, checked.quality)
+    ) {
+        throw new Error(`Unknown preset "${checked.quality}"`);
+    }
+    if (checked.backend !== undefined && !backends.includes(checked.backend)) {
+        throw new Error(`Unknown renderer "${checked.backend}"`);
+    }
+    if (
+        checked.simulation !== undefined &&
+        !simulations.includes(checked.simulation)
+    ) {
+        throw new Error(`Unknown simulation mode "${checked.simulation}"`);
+    }
+    if (
+        checked.objects !== undefined &&
+        !objectModes.includes(checked.objects)
+    ) {
+        throw new Error(`Unknown object mode "${checked.objects}"`);
+    }
+    if (checked.duration !== undefined) {
+        checked.duration = Number(checked.duration);
+        if (!(checked.duration > 0)) {
+            throw new Error(`Invalid duration "${options.duration}"`);
+        }
+    }
+    if (checked.warmup !== undefined) {
+        checked.warmup = Number(checked.warmup);
+        if (!(checked.warmup >= 0)) {
+            throw new Error(`Invalid warm-up "${options.warmup}"`);
+        }
+    }
+    if (checked.soak !== undefined) {
+        checked.soak = Number(checked.soak);
+        if (!Number.isInteger(checked.soak) || checked.soak < 1) {
+            throw new Error(`Invalid soak run count "${options.soak}"`);
+        }
+    }
+    // A workload definition object, run instead of the preset
+    if (checked.workload !== undefined) {
+        checked.workload = validateWorkload(
+            checked.workload,
+            "workload option"
+        );
+    }
+    if (checked.resolution !== undefined) {
+        checked.resolution = normalizeResolution(checked.resolution);
+    }
+    if (checked.report) checked.report = checkReportEndpoint(checked.report);
+    if (checked.maxLoad !== undefined && checked.maxLoad !== "off") {
+        checked.maxLoad = Number(checked.maxLoad);
+        if (!targetRates.includes(checked.maxLoad)) {
+            throw new Error(
+                `Invalid max load target "${options.maxLoad}", use ${targetRates.join(" or ")}`
+            );
+        }
+    }
+    if (checked.maxLoad === "off") checked.maxLoad = null;
+    if (checked.thermal !== undefined && checked.thermal !== "off") {
+        checked.thermal = Number(checked.thermal);
+        if (!(checked.thermal > 0)) {
+            throw new Error(
+                `Invalid thermal test length "${options.thermal}" (minutes)`
+            );
+        }
+    }
+    if (checked.thermal === "off") checked.thermal = null;
+    if (checked.maxLoad && checked.thermal) {
+        throw new Error("Max load and thermal test can't run together");
+    }
+    if (typeof checked.sweep === "string") {
+        checked.sweep = checked.sweep !== "0" && checked.sweep !== "false";
+    }
+    return checked;
+}
+
+// Run options from the query string, e.g.
+// ?autostart&preset=high&seed=42&duration=60&warmup=2&renderer=webgl
+//  &resolution=1080p&sweep=1&soak=5&maxload=60&thermal=10
+//  &report=http://localhost:8080/results
+export function readURLOptions(search = location.search) {
+    const params = new URLSearchParams(search);
+    const names = {
+        preset: "quality",
+        seed: "seed",
+        duration: "duration",
+        warmup: "warmup",
+        renderer: "backend",
+        simulation: "simulation",
+        objects: "objects",
+        resolution: "resolution",
+        soak: "soak",
+        sweep: "sweep",
+        maxload: "maxLoad",
+        thermal: "thermal",
+        report: "report"
+    };
+    const options = {};
+    for (const [param, option] of Object.entries(names)) {
+        if (params.has(param)) options[option] = params.get(param);
+    }
+    const autostart = params.get("autostart");
+    return {
+        options: validateRunOptions(options),
+        autostart:
+            autostart !== null && autostart !== "0" && autostart !== "false"
+    };
+}
+
+// POST the result as JSON; the collector only has to accept the request
+export async function postResult(endpoint, result) {
+    const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(result)
+    });
+    if (!response.ok) {
+        throw new Error(`Result upload failed: HTTP ${response.status}`);
+    }
+}
+
+// window.benchmark3d: run(options) resolves with the result object, on/off
+// subscribe to "start", "stage", "progress", "validity", "soak", "complete"
+// and "error" events.
+// Every event is also dispatched on window as "benchmark3d:<type>".
+export function createAutomationAPI(run) {
+    const listeners = {};
+
+    function emit(type, detail) {
+        (listeners[type] || []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                console.error(`benchmark3d "${type}" listener failed:`, e);
+            }
+        });
+        window.dispatchEvent(
+            new CustomEvent(`benchmark3d:${type}`, { detail })
+        );
+    }
+
+    return {
+        run: async options => run(validateRunOptions(options)),
+        on(type, listener) {
+            (listeners[type] ??= []).push(listener);
+        },
+        off(type, listener) {
+            listeners[type] = (listeners[type] || []).filter(
+                other => other !== listener
+            );
+        },
+        emit
+    };
+}
@@ -0,0 +1,116 @@
+// Frame-time statistics and graph for the result screen
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(
+        sorted.length - 1,
+        Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)
+    );
+    return sorted[index];
+}
+
+// Average FPS over the slowest `fraction` of frames (e.g. 0.01 for 1% low)
+function lowFPS(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    const count = Math.max(1, Math.floor(sorted.length * fraction));
+    let sum = 0;
+    for (let i = sorted.length - count; i < sorted.length; i++) {
+        sum += sorted[i];
+    }
+    return 1000 / (sum / count);
+}
+
+// frameTimes are in milliseconds
+export function computeFrameStats(frameTimes) {
+    const sorted = Float64Array.from(frameTimes).sort();
+    const count = sorted.length;
+    if (count === 0) {
+        return {
+            frames: 0,
+            mean: 0,
+            median: 0,
+            p95: 0,
+            p99: 0,
+            low1: 0,
+            low01: 0,
+            max: 0,
+            stdDev: 0,
+            stutters: 0
+        };
+    }
+
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += sorted[i];
+    const mean = sum / count;
+
+    let variance = 0;
+    for (let i = 0; i < count; i++) variance += (sorted[i] - mean) ** 2;
+
+    const median = percentile(sorted, 50);
+    let stutters = 0;
+    for (let i = 0; i < count; i++) {
+        if (sorted[i] > median * 2) stutters++;
+    }
+
+    return {
+        frames: count,
+        mean,
+        median,
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        low1: lowFPS(sorted, 0.01),
+        low01: lowFPS(sorted, 0.001),
+        max: sorted[count - 1],
+        stdDev: Math.sqrt(variance / count),
+        stutters
+    };
+}
+
+// Plot every frame's duration over the run, with the median and 2× median
+// (stutter threshold) as reference lines and optional vertical markers at
+// the given frame indices (stage boundaries)
+export function drawFrameTimeGraph(canvas, frameTimes, stats, markers = []) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, width, height);
+    if (frameTimes.length === 0) return;
+
+    const top = Math.max(stats.max, stats.median * 2.5, 1);
+    const y = ms => height - (ms / top) * (height - 14);
+
+    const drawLine = (ms, color) => {
+        ctx.strokeStyle = color;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, y(ms));
+        ctx.lineTo(width, y(ms));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+    drawLine(stats.median, "#0099ff");
+    drawLine(stats.median * 2, "#ff4444");
+
+    const step = frameTimes.length > 1 ? width / (frameTimes.length - 1) : 0;
+    ctx.strokeStyle = "rgba(255, 255, 0, 0.4)";
+    markers.forEach(index => {
+        ctx.beginPath();
+        ctx.moveTo(index * step, 0);
+        ctx.lineTo(index * step, height);
+        ctx.stroke();
+    });
+
+    ctx.strokeStyle = "#00ff88";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    frameTimes.forEach((ms, i) => {
+        if (i === 0) ctx.moveTo(0, y(ms));
+        else ctx.lineTo(i * step, y(ms));
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = "#888";
+    ctx.font = "10px Courier New";
+    ctx.fillText(`${top.toFixed(1)} ms`, 4, 10);
+}
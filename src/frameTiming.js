@@ -0,0 +1,238 @@
+// CPU/GPU frame time split. GPU time comes from timer queries:
+// EXT_disjoint_timer_query_webgl2 on WebGLRenderer (one query per render
+// pass), timestamp queries via trackTimestamp on WebGPURenderer (whole frames
+// only). Results arrive a few frames late, tagged with the frame's stage.
+import { escapeHTML } from "./html.js";
+
+// renderer: WebGLRenderer or WebGPURenderer (created with trackTimestamp)
+export function createGpuTimer(renderer) {
+    if (renderer.isWebGPURenderer) {
+        return renderer.backend.trackTimestamp
+            ? createTimestampTimer(renderer)
+            : createNullTimer();
+    }
+    const gl = renderer.getContext();
+    const ext = gl.getExtension("EXT_disjoint_timer_query_webgl2");
+    return ext ? createQueryTimer(gl, ext) : createNullTimer();
+}
+
+function createNullTimer() {
+    return {
+        supported: false,
+        beginFrame() {},
+        measure: (label, render) => render(),
+        endFrame() {},
+        poll: () => [],
+        dispose() {}
+    };
+}
+
+// Sequential TIME_ELAPSED queries; they can't nest, so callers measure the
+// passes of a frame one after another and the frame total is their sum
+function createQueryTimer(gl, ext) {
+    const pending = [];
+    let frame = null;
+
+    return {
+        supported: true,
+        api: "EXT_disjoint_timer_query_webgl2",
+
+        beginFrame(tag) {
+            frame = { tag, queries: [] };
+        },
+
+        measure(label, render) {
+            if (!frame) return render();
+            const query = gl.createQuery();
+            gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+            try {
+                return render();
+            } finally {
+                gl.endQuery(ext.TIME_ELAPSED_EXT);
+                frame.queries.push({ label, query });
+            }
+        },
+
+        endFrame() {
+            if (frame?.queries.length) pending.push(frame);
+            frame = null;
+        },
+
+        // Finished frames as { tag, gpu, passes } in milliseconds. A disjoint
+        // event (clock change, context loss) invalidates everything in flight.
+        poll() {
+            const finished = [];
+            const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+            while (pending.length > 0) {
+                const { tag, queries } = pending[0];
+                const available = queries.every(({ query }) =>
+                    gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)
+                );
+                if (!available && !disjoint) break;
+                pending.shift();
+
+                const passes = {};
+                let gpu = 0;
+                queries.forEach(({ label, query }) => {
+                    if (!disjoint) {
+                        const ms =
+                            gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+                        passes[label] = (passes[label] || 0) + ms;
+                        gpu += ms;
+                    }
+                    gl.deleteQuery(query);
+                });
+                if (!disjoint) finished.push({ tag, gpu, passes });
+            }
+            return finished;
+        },
+
+        dispose() {
+            pending.forEach(({ queries }) =>
+                queries.forEach(({ query }) => gl.deleteQuery(query))
+            );
+            pending.length = 0;
+        }
+    };
+}
+
+// WebGPURenderer sums the timestamps of every pass since the last resolve,
+// so each resolve is averaged over the frames it covers
+function createTimestampTimer(renderer) {
+    const finished = [];
+    let frames = 0;
+    let tag = null;
+    let resolving = false;
+
+    return {
+        supported: true,
+        api: "timestamp-query",
+
+        beginFrame(frameTag) {
+            tag = frameTag;
+        },
+
+        measure: (label, render) => render(),
+
+        endFrame() {
+            frames++;
+            if (resolving) return;
+            resolving = true;
+            const count = frames;
+            const frameTag = tag;
+            frames = 0;
+            renderer
+                .resolveTimestampsAsync("render")
+                .then(ms => {
+                    if (ms > 0) {
+                        finished.push({
+                            tag: frameTag,
+                            gpu: ms / count,
+                            passes: {}
+                        });
+                    }
+                })
+                .catch(e => console.warn("Timestamp query failed:", e))
+                .finally(() => {
+                    resolving = false;
+                });
+        },
+
+        poll: () => finished.splice(0),
+
+        dispose() {}
+    };
+}
+
+// Averages of the per-frame CPU and GPU timings
+export function createTimingAccumulator() {
+    const cpu = { simulation: 0, submit: 0, frames: 0 };
+    const gpu = { total: 0, passes: {}, frames: 0 };
+
+    return {
+        addCPU(simulation, submit) {
+            cpu.simulation += simulation;
+            cpu.submit += submit;
+            cpu.frames++;
+        },
+
+        addGPU({ gpu: total, passes }) {
+            gpu.total += total;
+            Object.entries(passes).forEach(([label, ms]) => {
+                gpu.passes[label] = (gpu.passes[label] || 0) + ms;
+            });
+            gpu.frames++;
+        },
+
+        // Milliseconds per frame; gpu is null without timer queries
+        summary() {
+            const average = (sum, count) => (count > 0 ? sum / count : 0);
+            return {
+                cpuSimulation: average(cpu.simulation, cpu.frames),
+                cpuSubmit: average(cpu.submit, cpu.frames),
+                gpu: gpu.frames > 0 ? gpu.total / gpu.frames : null,
+                gpuPasses: Object.fromEntries(
+                    Object.entries(gpu.passes).map(([label, ms]) => [
+                        label,
+                        ms / gpu.frames
+                    ])
+                ),
+                gpuFrames: gpu.frames
+            };
+        }
+    };
+}
+
+// Which side limits the frame rate, judged against the median frame time
+export function bottleneckVerdict(timing, frameTime) {
+    const cpu = timing.cpuSimulation + timing.cpuSubmit;
+    if (!(frameTime > 0)) return "unknown";
+    if (timing.gpu === null) {
+        return cpu > frameTime * 0.8 ? "CPU-bound" : "unknown (no GPU timer)";
+    }
+    const busiest = Math.max(cpu, timing.gpu);
+    // Neither side is busy for most of the frame: capped by vsync or idle
+    if (busiest < frameTime * 0.6) return "display-limited";
+    if (timing.gpu > cpu * 1.2) return "GPU-bound";
+    if (cpu > timing.gpu * 1.2) return "CPU-bound";
+    return "balanced";
+}
+
+function formatTiming(ms) {
+    return ms === null || ms === undefined ? "–" : `${ms.toFixed(2)} ms`;
+}
+
+// Live CPU/GPU breakdown under the renderer counters
+export function createTimingHUD(container) {
+    const element = document.createElement("div");
+    element.className = "rendererHUD";
+    container.appendChild(element);
+
+    return {
+        update(timing, verdict) {
+            element.innerHTML = `
+                <div>CPU simulation<span>${formatTiming(timing.cpuSimulation)}</span></div>
+                <div>CPU submit<span>${formatTiming(timing.cpuSubmit)}</span></div>
+                <div>GPU<span>${formatTiming(timing.gpu)}</span></div>
+                ${Object.entries(timing.gpuPasses)
+                    .map(
+                        ([label, ms]) =>
+                            `<div>&nbsp;&nbsp;${label}<span>${formatTiming(ms)}</span></div>`
+                    )
+                    .join("")}
+                <div>Verdict<span>${verdict}</span></div>`;
+        }
+    };
+}
+
+export function timingHTML(timing) {
+    if (!timing) return "";
+    return `
+        <div style="font-size: 14px; margin: 10px 0;">
+            Bottleneck: <b>${escapeHTML(timing.verdict)}</b> · CPU simulation ${formatTiming(
+                timing.cpuSimulation
+            )} · CPU submit ${formatTiming(timing.cpuSubmit)} · GPU ${formatTiming(
+                timing.gpu
+            )}${timing.api ? ` (${escapeHTML(timing.api)})` : ""}
+        </div>`;
+}
@@ -0,0 +1,256 @@
+// GPU-side particle simulation: positions, colour, size and fade are derived
+// in the vertex shader from the attributes uploaded once at creation, so the
+// CPU only advances a few uniforms per frame. WebGLRenderer gets a GLSL
+// ShaderMaterial, WebGPURenderer the equivalent TSL node material.
+import * as THREE from "three";
+import { PointsNodeMaterial } from "three/webgpu";
+import {
+    abs,
+    attribute,
+    exp,
+    float,
+    fract,
+    max,
+    min,
+    mod,
+    positionGeometry,
+    select,
+    sin,
+    uniform,
+    varying,
+    vec3,
+    vertexIndex
+} from "three/tsl";
+
+// Same constants as updateParticles/updateExplosions on the CPU
+const BOUNDS = 150;
+const GRAVITY = 0.7;
+const DRAG = -Math.log(0.999);
+
+const glslHelpers = /* glsl */ `
+    vec3 hslToRgb(float h, float s, float l) {
+        vec3 rgb = clamp(abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+        return l + s * (rgb - 0.5) * (1.0 - abs(2.0 * l - 1.0));
+    }
+
+    float exitTime(float p, float v) {
+        return abs(v) < 1e-4 ? 1e6 : ((v > 0.0 ? ${BOUNDS.toFixed(1)} : -${BOUNDS.toFixed(1)}) - p) / v;
+    }
+`;
+
+// Each particle flies from its spawn point to the bounding box and loops;
+// lifetime offsets the loop and scale sets the base point size
+const particleVertexShader = /* glsl */ `
+    attribute vec3 velocity;
+    attribute float scale;
+    attribute float lifetime;
+    uniform float time;
+    uniform float seconds;
+    uniform float size;
+    uniform float pixelScale;
+    varying vec3 vColor;
+    varying float vFade;
+    #include <fog_pars_vertex>
+    ${glslHelpers}
+
+    void main() {
+        float period = max(min(exitTime(position.x, velocity.x),
+            min(exitTime(position.y, velocity.y), exitTime(position.z, velocity.z))), 1.0);
+        float t = mod(time + lifetime * period, period);
+        vFade = sin(t / period * 3.14159265);
+        vColor = hslToRgb(fract(seconds * 0.1 + float(gl_VertexID) * 0.03), 0.8, 1.2);
+
+        vec4 mvPosition = modelViewMatrix * vec4(position + velocity * t, 1.0);
+        gl_PointSize = size * scale * (0.5 + 0.5 * vFade) * pixelScale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+// Closed form of the per-frame gravity and air resistance integration
+const explosionVertexShader = /* glsl */ `
+    attribute vec3 velocity;
+    uniform float age;
+    uniform float size;
+    uniform float pixelScale;
+    varying vec3 vColor;
+    varying float vFade;
+    #include <fog_pars_vertex>
+
+    void main() {
+        float decay = 1.0 - exp(-${DRAG} * age);
+        vec3 p = position + velocity * decay / ${DRAG};
+        p.y -= ${GRAVITY} * (age / ${DRAG} - decay / (${DRAG} * ${DRAG}));
+        vColor = color;
+        vFade = 1.0;
+
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        gl_PointSize = size * pixelScale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+const pointFragmentShader = /* glsl */ `
+    uniform float opacity;
+    varying vec3 vColor;
+    varying float vFade;
+    #include <fog_pars_fragment>
+
+    void main() {
+        gl_FragColor = vec4(vColor, opacity * vFade);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+        #include <fog_fragment>
+    }
+`;
+
+function glslMaterial(vertexShader, uniforms, options) {
+    const material = new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader: pointFragmentShader,
+        uniforms: THREE.UniformsUtils.merge([
+            THREE.UniformsLib.fog,
+            {
+                size: { value: options.size },
+                pixelScale: { value: 1 },
+                opacity: { value: options.opacity },
+                ...uniforms
+            }
+        ]),
+        vertexColors: Boolean(options.explosion),
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false,
+        fog: true
+    });
+    material.userData.uniforms = material.uniforms;
+    return material;
+}
+
+function nodeHslToRgb(h, s, l) {
+    const rgb = abs(mod(h.mul(6).add(vec3(0, 4, 2)), 6).sub(3))
+        .sub(1)
+        .clamp(0, 1);
+    return rgb
+        .sub(0.5)
+        .mul(float(s).mul(float(1).sub(abs(float(l).mul(2).sub(1)))))
+        .add(l);
+}
+
+function nodeExitTime(p, v) {
+    return select(
+        abs(v).lessThan(1e-4),
+        float(1e6),
+        select(v.greaterThan(0), float(BOUNDS), float(-BOUNDS)).sub(p).div(v)
+    );
+}
+
+function nodeParticleMaterial(options) {
+    const uniforms = {
+        time: uniform(0),
+        seconds: uniform(0),
+        opacity: uniform(options.opacity)
+    };
+    const velocity = attribute("velocity", "vec3");
+    const period = max(
+        min(
+            nodeExitTime(positionGeometry.x, velocity.x),
+            min(
+                nodeExitTime(positionGeometry.y, velocity.y),
+                nodeExitTime(positionGeometry.z, velocity.z)
+            )
+        ),
+        1
+    );
+    const t = mod(
+        uniforms.time.add(attribute("lifetime", "float").mul(period)),
+        period
+    );
+    const fade = varying(sin(t.div(period).mul(Math.PI)));
+
+    const material = new PointsNodeMaterial({
+        size: options.size,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false
+    });
+    material.positionNode = positionGeometry.add(velocity.mul(t));
+    material.colorNode = varying(
+        nodeHslToRgb(
+            fract(uniforms.seconds.mul(0.1).add(float(vertexIndex).mul(0.03))),
+            0.8,
+            1.2
+        )
+    );
+    material.opacityNode = uniforms.opacity.mul(fade);
+    material.scaleNode = attribute("scale", "float").mul(
+        fade.mul(0.5).add(0.5)
+    );
+    material.userData.uniforms = uniforms;
+    return material;
+}
+
+function nodeExplosionMaterial(options) {
+    const uniforms = {
+        age: uniform(0),
+        opacity: uniform(options.opacity)
+    };
+    const velocity = attribute("velocity", "vec3");
+    const decay = float(1).sub(exp(uniforms.age.mul(-DRAG)));
+    const position = positionGeometry.add(velocity.mul(decay.div(DRAG)));
+
+    const material = new PointsNodeMaterial({
+        size: options.size,
+        vertexColors: true,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false
+    });
+    material.positionNode = position.sub(
+        vec3(
+            0,
+            uniforms.age
+                .div(DRAG)
+                .sub(decay.div(DRAG * DRAG))
+                .mul(GRAVITY),
+            0
+        )
+    );
+    material.opacityNode = uniforms.opacity;
+    material.userData.uniforms = uniforms;
+    return material;
+}
+
+// Material for the main particle field. Uniforms: time (simulation time in
+// 60 Hz frame units), seconds (colour cycle) and, for WebGL, pixelScale.
+export function createGpuParticleMaterial(renderer, { size, opacity }) {
+    if (renderer.isWebGPURenderer) {
+        return nodeParticleMaterial({ size, opacity });
+    }
+    return glslMaterial(
+        particleVertexShader,
+        { time: { value: 0 }, seconds: { value: 0 } },
+        { size, opacity }
+    );
+}
+
+// Material for one explosion. Uniforms: age (frames since spawn), opacity.
+export function createGpuExplosionMaterial(renderer, { size, opacity }) {
+    if (renderer.isWebGPURenderer) {
+        return nodeExplosionMaterial({ size, opacity });
+    }
+    return glslMaterial(
+        explosionVertexShader,
+        { age: { value: 0 } },
+        { size, opacity, explosion: true }
+    );
+}
+
+// Point sizes in the GLSL shaders are attenuated like PointsMaterial does it
+export function updateGpuPointScale(material, renderer) {
+    const { pixelScale } = material.userData.uniforms;
+    if (pixelScale) {
+        pixelScale.value = renderer.domElement.height / 2;
+    }
+}
@@ -0,0 +1,279 @@
+// Hardware and environment profile attached to every result: GPU identity
+// probed on both APIs, limits and features of the active renderer, UA-CH
+// platform data, memory, screen and a measured display refresh rate. key
+// groups results from the same machine whichever backend ran.
+
+const webgpuLimits = [
+    "maxTextureDimension2D",
+    "maxTextureArrayLayers",
+    "maxBindGroups",
+    "maxBufferSize",
+    "maxStorageBufferBindingSize",
+    "maxUniformBufferBindingSize",
+    "maxVertexBuffers",
+    "maxColorAttachments",
+    "maxComputeWorkgroupSizeX",
+    "maxComputeInvocationsPerWorkgroup",
+    "maxComputeWorkgroupStorageSize"
+];
+
+const webglLimits = [
+    "MAX_TEXTURE_SIZE",
+    "MAX_CUBE_MAP_TEXTURE_SIZE",
+    "MAX_RENDERBUFFER_SIZE",
+    "MAX_SAMPLES",
+    "MAX_DRAW_BUFFERS",
+    "MAX_TEXTURE_IMAGE_UNITS",
+    "MAX_COMBINED_TEXTURE_IMAGE_UNITS",
+    "MAX_VERTEX_UNIFORM_VECTORS",
+    "MAX_FRAGMENT_UNIFORM_VECTORS",
+    "MAX_VARYING_VECTORS",
+    "MAX_VIEWPORT_DIMS"
+];
+
+// Adapter info, limits and features of the device the WebGPU backend draws
+// with; null on the WebGL backends
+function collectWebGPU(renderer) {
+    const device = renderer?.backend?.isWebGPUBackend
+        ? renderer.backend.device
+        : null;
+    if (!device) return null;
+    const info = device.adapterInfo ?? {};
+    return {
+        vendor: info.vendor || null,
+        architecture: info.architecture || null,
+        device: info.device || null,
+        description: info.description || null,
+        fallbackAdapter: Boolean(info.isFallbackAdapter),
+        limits: Object.fromEntries(
+            webgpuLimits.map(name => [name, device.limits[name]])
+        ),
+        features: [...device.features].sort()
+    };
+}
+
+// The context the WebGL backend draws with: WebGLRenderer's own or the
+// WebGPURenderer's WebGL 2 fallback; null on the WebGPU backend
+function collectWebGL(renderer) {
+    const gl = renderer?.isWebGLRenderer
+        ? renderer.getContext()
+        : renderer?.backend?.isWebGLBackend
+          ? renderer.backend.gl
+          : null;
+    if (!gl) return null;
+
+    try {
+        const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+        return {
+            version: gl.getParameter(gl.VERSION),
+            shadingLanguage: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+            vendor: gl.getParameter(
+                debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR
+            ),
+            renderer: gl.getParameter(
+                debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER
+            ),
+            limits: Object.fromEntries(
+                webglLimits.map(name => {
+                    const value = gl.getParameter(gl[name]);
+                    return [
+                        name,
+                        ArrayBuffer.isView(value) ? [...value] : value
+                    ];
+                })
+            ),
+            extensions: (gl.getSupportedExtensions() || []).sort()
+        };
+    } catch (e) {
+        console.warn("WebGL context query failed:", e);
+        return null;
+    }
+}
+
+// Adapter info and WebGL renderer strings probed once, whatever backend runs,
+// so the GPU name and key of a machine don't change with the backend. The
+// adapter is only asked for its info and the WebGL2 context is released
+// straight away.
+async function probeGPUIdentity() {
+    let adapter = null;
+    try {
+        const info = (
+            await navigator.gpu?.requestAdapter({
+                powerPreference: "high-performance"
+            })
+        )?.info;
+        if (info) {
+            adapter = {
+                vendor: info.vendor || null,
+                architecture: info.architecture || null,
+                device: info.device || null,
+                description: info.description || null
+            };
+        }
+    } catch (e) {
+        console.warn("WebGPU adapter query failed:", e);
+    }
+
+    let webgl = null;
+    const gl = document.createElement("canvas").getContext("webgl2");
+    if (gl) {
+        const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+        webgl = {
+            vendor: gl.getParameter(
+                debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR
+            ),
+            renderer: gl.getParameter(
+                debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER
+            )
+        };
+        gl.getExtension("WEBGL_lose_context")?.loseContext();
+    }
+    return { adapter, webgl };
+}
+
+async function collectPlatform() {
+    const uaData = navigator.userAgentData;
+    const platform = {
+        userAgent: navigator.userAgent,
+        platform: uaData?.platform || navigator.platform || null,
+        mobile: uaData?.mobile ?? null,
+        brands:
+            uaData?.brands?.map(
+                ({ brand, version }) => `${brand} ${version}`
+            ) ?? []
+    };
+    if (!uaData?.getHighEntropyValues) return platform;
+    try {
+        const values = await uaData.getHighEntropyValues([
+            "architecture",
+            "bitness",
+            "model",
+            "platformVersion",
+            "fullVersionList"
+        ]);
+        return {
+            ...platform,
+            architecture: values.architecture || null,
+            bitness: values.bitness || null,
+            model: values.model || null,
+            platformVersion: values.platformVersion || null,
+            fullVersionList:
+                values.fullVersionList?.map(
+                    ({ brand, version }) => `${brand} ${version}`
+                ) ?? []
+        };
+    } catch (e) {
+        console.warn("High-entropy platform data unavailable:", e);
+        return platform;
+    }
+}
+
+// Median requestAnimationFrame interval over a short idle window, in Hz.
+// Background tabs get no animation frames, so after timeoutMs the rate is
+// unknown (null) rather than holding up the run.
+export function measureRefreshRate(frames = 60, timeoutMs = 3000) {
+    return new Promise(resolve => {
+        const intervals = [];
+        let last;
+        let done = false;
+        const timer = setTimeout(() => {
+            done = true;
+            resolve(null);
+        }, timeoutMs);
+        const tick = time => {
+            if (done) return;
+            if (last !== undefined) intervals.push(time - last);
+            last = time;
+            if (intervals.length < frames) {
+                requestAnimationFrame(tick);
+                return;
+            }
+            clearTimeout(timer);
+            intervals.sort((a, b) => a - b);
+            const median = intervals[Math.floor(intervals.length / 2)];
+            resolve(median > 0 ? Math.round(1000 / median) : null);
+        };
+        requestAnimationFrame(tick);
+    });
+}
+
+// Prefer WebGPU's adapter info, fall back to the WebGL renderer string
+function gpuName(profile) {
+    const { webgpu, webgl } = profile;
+    if (webgpu?.description) return webgpu.description;
+    if (webgl?.renderer) return webgl.renderer;
+    if (webgpu?.vendor) {
+        return [webgpu.vendor, webgpu.architecture].filter(Boolean).join(" ");
+    }
+    return "Unknown";
+}
+
+function cpuName(platform) {
+    return (
+        [
+            platform.platform,
+            platform.architecture,
+            platform.bitness && `${platform.bitness}-bit`
+        ]
+            .filter(Boolean)
+            .join(" ") || "Unknown"
+    );
+}
+
+// Limits and features of the renderer that is drawing. The rest of the
+// profile stays when the backend changes, this part is re-read.
+export function profileRenderer(profile, renderer) {
+    const webgpu = collectWebGPU(renderer);
+    const webgl = collectWebGL(renderer);
+    const { identity } = profile;
+    return {
+        ...profile,
+        webgpu,
+        webgl,
+        // Named from the probed identity, the active renderer only fills gaps
+        gpu: gpuName({
+            webgpu: identity.adapter ?? webgpu,
+            webgl: identity.webgl ?? webgl
+        })
+    };
+}
+
+// Groups results from the same machine: backend-independent fields only
+function profileKey({ identity, platform, cores, deviceMemory }) {
+    return [
+        identity.adapter?.vendor,
+        identity.adapter?.architecture,
+        identity.webgl?.renderer,
+        platform.platform,
+        platform.architecture,
+        cores,
+        deviceMemory
+    ]
+        .map(part => part || "?")
+        .join("|");
+}
+
+export async function collectHardwareProfile(renderer) {
+    const [identity, platform, refreshRate] = await Promise.all([
+        probeGPUIdentity(),
+        collectPlatform(),
+        measureRefreshRate()
+    ]);
+    const profile = {
+        identity,
+        platform,
+        cpu: cpuName(platform),
+        cores: navigator.hardwareConcurrency || null,
+        deviceMemory: navigator.deviceMemory ?? null,
+        screen: {
+            width: screen.width,
+            height: screen.height,
+            colorDepth: screen.colorDepth,
+            devicePixelRatio: window.devicePixelRatio,
+            refreshRate
+        },
+        crossOriginIsolated: Boolean(window.crossOriginIsolated)
+    };
+    profile.key = profileKey(profile);
+    return profileRenderer(profile, renderer);
+}
@@ -0,0 +1,300 @@
+// Local run history in IndexedDB, with a panel for trends and comparisons
+
+const DB_NAME = "benchmark3d";
+const DB_VERSION = 1;
+const RUN_STORE = "runs";
+const BASELINE_STORAGE_KEY = "benchmark3d.baseline";
+const overlayColors = ["#00ff88", "#0099ff", "#ffa500", "#ff44ff", "#ffff44"];
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(RUN_STORE, {
+                    keyPath: "id",
+                    autoIncrement: true
+                });
+                store.createIndex("timestamp", "timestamp");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = action(
+            db.transaction(RUN_STORE, mode).objectStore(RUN_STORE)
+        );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Stores a finished run and resolves with its id
+export function saveRun(result) {
+    const { source, ...run } = result;
+    return withStore("readwrite", store => store.add(run));
+}
+
+// All runs, oldest first
+export function listRuns() {
+    return withStore("readonly", store => store.index("timestamp").getAll());
+}
+
+export function deleteRun(id) {
+    return withStore("readwrite", store => store.delete(id));
+}
+
+function getBaselineId() {
+    return Number(localStorage.getItem(BASELINE_STORAGE_KEY)) || null;
+}
+
+function setBaselineId(id) {
+    if (id === null) localStorage.removeItem(BASELINE_STORAGE_KEY);
+    else localStorage.setItem(BASELINE_STORAGE_KEY, id);
+}
+
+function runLabel(run) {
+    return new Date(run.timestamp).toLocaleString();
+}
+
+function delta(value, baseline) {
+    if (!baseline) return "";
+    const change = ((value - baseline) / baseline) * 100;
+    const color = change >= 0 ? "#00ff88" : "#ff4444";
+    return `<span style="color: ${color}">${
+        change >= 0 ? "+" : ""
+    }${change.toFixed(1)}%</span>`;
+}
+
+// Score (solid) and average FPS (dashed) across runs, each on its own scale.
+// Scores from other scoring model versions are left out of the score line.
+function drawTrendChart(canvas, runs, baseline) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, width, height);
+    if (runs.length === 0) return;
+
+    const scoreVersion = (baseline ?? runs[runs.length - 1]).score.version;
+    const x = i =>
+        runs.length > 1
+            ? (i / (runs.length - 1)) * (width - 20) + 10
+            : width / 2;
+
+    const drawSeries = (values, color, dashed) => {
+        const max = Math.max(...values.filter(v => v !== null), 1);
+        const y = v => height - 10 - (v / max) * (height - 24);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.setLineDash(dashed ? [4, 3] : []);
+        ctx.beginPath();
+        let started = false;
+        values.forEach((v, i) => {
+            if (v === null) return;
+            if (started) ctx.lineTo(x(i), y(v));
+            else ctx.moveTo(x(i), y(v));
+            started = true;
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        values.forEach((v, i) => {
+            if (v !== null) ctx.fillRect(x(i) - 2, y(v) - 2, 4, 4);
+        });
+    };
+
+    drawSeries(
+        runs.map(run =>
+            run.score.version === scoreVersion ? run.score.value : null
+        ),
+        "#ffff00",
+        false
+    );
+    drawSeries(
+        runs.map(run => run.summary.avgFPS),
+        "#0099ff",
+        true
+    );
+
+    if (baseline) {
+        const index = runs.indexOf(baseline);
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+        ctx.beginPath();
+        ctx.moveTo(x(index), 0);
+        ctx.lineTo(x(index), height);
+        ctx.stroke();
+    }
+
+    ctx.font = "10px Courier New";
+    ctx.fillStyle = "#ffff00";
+    ctx.fillText(`Score (v${scoreVersion})`, 4, 10);
+    ctx.fillStyle = "#0099ff";
+    ctx.fillText("Avg FPS", 100, 10);
+}
+
+// Frame-time curves of the selected runs stretched over the same width
+function drawOverlayChart(canvas, runs) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, width, height);
+    if (runs.length === 0) {
+        ctx.fillStyle = "#888";
+        ctx.font = "10px Courier New";
+        ctx.fillText("Tick runs to overlay their frame times", 4, 12);
+        return;
+    }
+
+    const top = Math.max(
+        ...runs.map(run => run.summary.frameStats.median * 3),
+        1
+    );
+    runs.forEach((run, index) => {
+        const times = run.frameTimes;
+        ctx.strokeStyle = overlayColors[index % overlayColors.length];
+        ctx.beginPath();
+        times.forEach((ms, i) => {
+            const px = (i / Math.max(times.length - 1, 1)) * width;
+            const py = height - (Math.min(ms, top) / top) * (height - 4);
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+    });
+    ctx.fillStyle = "#888";
+    ctx.font = "10px Courier New";
+    ctx.fillText(`${top.toFixed(1)} ms`, 4, 10);
+}
+
+// Panel listing stored runs. onView(runs) shows one or more runs in detail.
+export function createHistoryPanel(container, { onView }) {
+    const selected = new Set();
+    let runs = [];
+
+    container.innerHTML = `
+        <h3 class="glow">📈 Run History</h3>
+        <canvas id="trendChart" width="360" height="110"></canvas>
+        <canvas id="overlayChart" width="360" height="110"></canvas>
+        <div id="historyActions">
+            <button data-action="compare">Compare Selected</button>
+            <button data-action="clear-baseline">Clear Baseline</button>
+        </div>
+        <div id="historyList"></div>
+    `;
+    const list = container.querySelector("#historyList");
+
+    async function refresh() {
+        try {
+            runs = await listRuns();
+        } catch (e) {
+            console.warn("Run history unavailable:", e);
+            list.textContent = "History unavailable in this browser";
+            return;
+        }
+        const baseline = runs.find(run => run.id === getBaselineId());
+
+        list.innerHTML = runs.length
+            ? runs
+                  .slice()
+                  .reverse()
+                  .map(
+                      run => `
+            <div class="historyRun${run === baseline ? " baseline" : ""}">
+                <label>
+                    <input type="checkbox" data-id="${run.id}" ${
+                        selected.has(run.id) ? "checked" : ""
+                    } />
+                    ${runLabel(run)}
+                </label>
+                <div>
+                    ${
+                        run.maxLoad
+                            ? `Max load ×${run.maxLoad.load.toFixed(3)} @ ${run.maxLoad.targetFPS} FPS`
+                            : run.thermal?.stability !== undefined
+                              ? `Thermal ${run.thermal.stability.toFixed(1)}% stable`
+                              : `Score ${run.score.value} ${
+                                    baseline?.score.value &&
+                                    baseline.score.version === run.score.version
+                                        ? delta(
+                                              run.score.value,
+                                              baseline.score.value
+                                          )
+                                        : ""
+                                }`
+                    } · ${run.summary.avgFPS.toFixed(1)} FPS ${delta(
+                        run.summary.avgFPS,
+                        baseline?.summary.avgFPS
+                    )}
+                </div>
+                <div class="historyMeta">
+                    ${run.quality} · ${Object.keys(run.renderer.backends).join(
+                        "/"
+                    )} · ${run.hardware.gpu}${
+                        run.validity && run.validity.status !== "valid"
+                            ? ` · ${run.validity.status}`
+                            : ""
+                    }
+                </div>
+                <button data-action="view" data-id="${run.id}">View</button>
+                <button data-action="baseline" data-id="${run.id}">${
+                    run === baseline ? "Baseline ★" : "Pin Baseline"
+                }</button>
+                <button data-action="delete" data-id="${run.id}">Delete</button>
+            </div>`
+                  )
+                  .join("")
+            : "No runs yet";
+
+        drawTrendChart(container.querySelector("#trendChart"), runs, baseline);
+        drawOverlayChart(
+            container.querySelector("#overlayChart"),
+            runs.filter(run => selected.has(run.id))
+        );
+    }
+
+    container.addEventListener("change", e => {
+        const id = Number(e.target.dataset.id);
+        if (!id) return;
+        if (e.target.checked) selected.add(id);
+        else selected.delete(id);
+        refresh();
+    });
+
+    const view = filter =>
+        onView(
+            runs.filter(filter).map(run => ({ ...run, source: runLabel(run) }))
+        );
+
+    container.addEventListener("click", async e => {
+        const { action } = e.target.dataset;
+        const id = Number(e.target.dataset.id);
+        if (action === "view") {
+            view(run => run.id === id);
+        } else if (action === "compare" && selected.size > 0) {
+            view(run => selected.has(run.id));
+        } else if (action === "baseline") {
+            setBaselineId(id);
+        } else if (action === "clear-baseline") {
+            setBaselineId(null);
+        } else if (action === "delete") {
+            selected.delete(id);
+            if (getBaselineId() === id) setBaselineId(null);
+            await deleteRun(id);
+        } else {
+            return;
+        }
+        refresh();
+    });
+
+    refresh();
+    return { refresh };
+}
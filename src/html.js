@@ -0,0 +1,13 @@
+// Markup helpers for views that interpolate data from outside the page, such
+// as imported result files and shared links
+const entities = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+};
+
+export function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
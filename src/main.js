@@ -1,143 +1,188 @@
-// Enhanced 3D Web Benchmark with WebGPU
+// Enhanced 3D Web Benchmark with WebGPU and WebGL backends
 import * as THREE from "three";
+import { WebGPURenderer } from "three/webgpu";
 import Stats from "stats.js";
-
-// WebGPU initialization
+import { createRandom, normalizeSeed, DEFAULT_SEED } from "./random.js";
+import {
+    hslToRgb,
+    integrateParticles,
+    integrateExplosion
+} from "./simulation.js";
+import { computeFrameStats } from "./frameStats.js";
+import {
+    sampleRendererInfo,
+    createStatsAccumulator,
+    createRendererHUD
+} from "./rendererStats.js";
+import { takeResourceSnapshot, detectLeaks } from "./soak.js";
+import {
+    createGpuTimer,
+    createTimingAccumulator,
+    bottleneckVerdict,
+    createTimingHUD
+} from "./frameTiming.js";
+import { collectHardwareProfile, profileRenderer } from "./hardwareProfile.js";
+import { LONG_PAUSE_MS, assessValidity } from "./validity.js";
+import {
+    createPostProcessing,
+    summarizePassTimings
+} from "./postProcessing.js";
+import {
+    qualitySettings,
+    presetWorkload,
+    registerWorkload,
+    loadStoredWorkloads,
+    readWorkloadFile,
+    createCustomPresetEditor
+} from "./presets.js";
+import {
+    workloadSettings,
+    createWorkloadGeometry,
+    createWorkloadMaterial
+} from "./workload.js";
+import { stages } from "./stages.js";
+import { createSweepStages, analyzeSweep } from "./sweep.js";
+import {
+    PROBE_DURATION,
+    scaleWorkload,
+    createProbeStage,
+    createLoadSearch
+} from "./maxLoad.js";
+import {
+    THERMAL_INTERVAL,
+    thermalDurations,
+    createThermalStage,
+    createThermalRecorder,
+    analyzeThermal
+} from "./thermal.js";
+import {
+    computeStageThroughput,
+    computeStageScore,
+    computeCompositeScore,
+    SCORE_VERSION
+} from "./scoring.js";
+import {
+    RESULT_FORMAT,
+    RESULT_FORMAT_VERSION,
+    resultHTML,
+    comparisonHTML,
+    drawResultGraphs,
+    downloadResultJSON,
+    downloadFramesCSV,
+    readResultFiles
+} from "./results.js";
+import { saveRun, listRuns, createHistoryPanel } from "./history.js";
+import { createShareLink, readSharedResult } from "./share.js";
+import {
+    createGpuParticleMaterial,
+    createGpuExplosionMaterial,
+    updateGpuPointScale
+} from "./gpuParticles.js";
+import {
+    createSimulationPool,
+    createSimulationArray,
+    sharedMemorySupported
+} from "./workerPool.js";
+import {
+    DEFAULT_DURATION,
+    DEFAULT_WARMUP,
+    readURLOptions,
+    validateRunOptions,
+    parseResolution,
+    postResult,
+    createAutomationAPI
+} from "./automation.js";
+
+// Renderer state
 let renderer;
-let webgpuSupported = false;
-
-// Function to detect GPU information
-async function detectGPU() {
-    try {
-        const canvas = document.createElement("canvas");
-        const gl =
-            canvas.getContext("webgl") ||
-            canvas.getContext("experimental-webgl");
-
-        if (!gl) {
-            return "WebGL not supported";
-        }
-
-        const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
-        if (debugInfo) {
-            return gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
-        }
-        return "GPU info protected";
-    } catch (e) {
-        console.error("GPU detection failed:", e);
-        return "Detection failed";
+let rendererBackend = null;
+let gpuTimer = null;
+let backendFrames = {};
+
+// Build the renderer for the chosen backend: "webgpu" uses three's
+// WebGPURenderer (which falls back to WebGL 2 on its own), "webgl" the classic
+// WebGLRenderer. Both get identical settings so the workload stays the same.
+async function initRenderer(backend) {
+    if (renderer) {
+        gpuTimer?.dispose();
+        renderer.dispose();
+        renderer.domElement.remove();
+        renderer = null;
     }
-}
 
-// Function to detect CPU information
-function detectCPU() {
-    try {
-        // Try to get CPU core count
-        const cores = navigator.hardwareConcurrency || "Unknown";
-        document.getElementById("cpuCores").textContent = cores;
-
-        // Try to get CPU architecture
-        const arch =
-            navigator.userAgentData?.platform ||
-            navigator.platform ||
-            "Unknown";
-        return arch.replace("Win32", "").replace("MacIntel", "Apple Silicon");
-    } catch (e) {
-        console.error("CPU detection failed:", e);
-        return "Unknown";
-    }
-}
-
-// Initialize hardware detection on page load
-window.addEventListener("load", async () => {
-    // Detect and display CPU info
-    document.getElementById("cpuName").textContent = detectCPU();
-
-    // Detect and display GPU info
-    const gpuInfo = await detectGPU();
-    document.getElementById("gpuName").textContent = gpuInfo;
-});
-
-async function initRenderer() {
-    // Check WebGPU support and initialize
-    if ("gpu" in navigator) {
-        try {
-            const adapter = await navigator.gpu.requestAdapter({
-                powerPreference: "high-performance"
-            });
-
-            if (adapter) {
-                const device = await adapter.requestDevice({
-                    requiredFeatures: [],
-                    requiredLimits: {}
-                });
-
-                webgpuSupported = true;
-
-                // Create WebGL renderer but with WebGPU optimizations
-                renderer = new THREE.WebGLRenderer({
-                    antialias: true,
-                    powerPreference: "high-performance",
-                    alpha: true,
-                    // WebGPU-optimized settings
-                    precision: "highp",
-                    stencil: false,
-                    depth: true,
-                    premultipliedAlpha: false,
-                    preserveDrawingBuffer: false
-                });
-
-                // Store WebGPU device for potential compute shader usage
-                renderer.webgpuDevice = device;
-                renderer.webgpuAdapter = adapter;
-
-                console.log("🚀 WebGPU-enhanced WebGL renderer initialized");
-                console.log("GPU:", adapter.info || "WebGPU Adapter");
-            }
-        } catch (error) {
-            console.warn("WebGPU not available, using standard WebGL:", error);
-            webgpuSupported = false;
-        }
-    }
-
-    // Standard WebGL renderer if WebGPU is not supported
-    if (!webgpuSupported) {
+    if (backend === "webgpu") {
+        renderer = new WebGPURenderer({
+            antialias: true,
+            powerPreference: "high-performance",
+            alpha: true,
+            trackTimestamp: true
+        });
+        // Destroyed devices are our own disposal, not a loss
+        const onDeviceLost = renderer.onDeviceLost.bind(renderer);
+        renderer.onDeviceLost = info => {
+            onDeviceLost(info);
+            if (info.reason !== "destroyed") handleContextLost(info.message);
+        };
+        await renderer.init();
+    } else {
         renderer = new THREE.WebGLRenderer({
             antialias: true,
             powerPreference: "high-performance",
-            alpha: true
+            alpha: true,
+            precision: "highp",
+            stencil: false
         });
-        console.log("📱 Standard WebGL renderer initialized");
     }
+    rendererBackend = backend;
+    gpuTimer = createGpuTimer(renderer);
+    const canvas = renderer.domElement;
+    canvas.addEventListener("webglcontextlost", () => {
+        if (renderer?.domElement === canvas) {
+            handleContextLost("WebGL context lost");
+        }
+    });
 
-    // Enhanced renderer settings
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(
-        Math.min(window.devicePixelRatio, webgpuSupported ? 3 : 2)
-    );
+    applyRenderSize();
 
-    // Enhanced shadow and lighting settings
     renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = webgpuSupported
-        ? THREE.PCFSoftShadowMap
-        : THREE.PCFShadowMap;
-    renderer.shadowMap.autoUpdate = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-    // Enhanced tone mapping and exposure
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = webgpuSupported ? 1.5 : 1.2;
+    renderer.toneMappingExposure = 1.5;
 
-    // WebGPU-specific optimizations
-    if (webgpuSupported) {
-        renderer.outputColorSpace = THREE.SRGBColorSpace;
-        renderer.useLegacyLights = false;
-        renderer.physicallyCorrectLights = true;
-    }
+    // Reset per frame in animate, so multi-pass frames count every pass
+    renderer.info.autoReset = false;
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
 
     document.body.appendChild(renderer.domElement);
+    console.log(`🚀 ${activeBackendName()} renderer initialized`);
+}
 
-    // Initialize the rest of the benchmark
-    initBenchmark();
+// Name of the API that is actually drawing right now
+function activeBackendName() {
+    if (!renderer) return "None";
+    if (!renderer.isWebGPURenderer) return "WebGL";
+    return renderer.backend.isWebGPUBackend
+        ? "WebGPU"
+        : "WebGL 2 (WebGPU fallback)";
+}
+
+// Render at the fixed internal resolution if one is chosen (pixel ratio 1 so
+// every machine draws the same number of pixels, the canvas is scaled to fit
+// the window), otherwise fill the window. renderScale multiplies the pixel
+// ratio for the resolution sweep.
+function applyRenderSize() {
+    const width = renderResolution?.width ?? window.innerWidth;
+    const height = renderResolution?.height ?? window.innerHeight;
+    renderer.setPixelRatio(
+        (renderResolution ? 1 : Math.min(window.devicePixelRatio, 2)) *
+            renderScale
+    );
+    renderer.setSize(width, height, !renderResolution);
+    renderer.domElement.classList.toggle("fixedResolution", !!renderResolution);
+    postChain?.setSize(width, height, renderer.getPixelRatio());
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
 }
 
 const scene = new THREE.Scene();
@@ -152,49 +197,165 @@ const camera = new THREE.PerspectiveCamera(
 const stats = new Stats();
 stats.showPanel(0);
 document.getElementById("fps").appendChild(stats.dom);
+const rendererHUD = createRendererHUD(document.getElementById("fps"));
+const timingHUD = createTimingHUD(document.getElementById("fps"));
 
 // UI elements
 const resultBox = document.getElementById("result");
 const startBtn = document.getElementById("startBtn");
 const qualitySelect = document.getElementById("quality");
+const seedInput = document.getElementById("seed");
+const backendSelect = document.getElementById("backend");
+const simulationSelect = document.getElementById("simulation");
+const objectsSelect = document.getElementById("objects");
+const stageInfo = document.getElementById("stageInfo");
+const importInput = document.getElementById("importInput");
+const workloadInput = document.getElementById("workloadInput");
+const historyBox = document.getElementById("history");
+const durationInfo = document.getElementById("durationInfo");
+const soakInput = document.getElementById("soak");
+const resolutionSelect = document.getElementById("resolution");
+const sweepSelect = document.getElementById("sweep");
+const maxLoadSelect = document.getElementById("maxLoad");
+const thermalSelect = document.getElementById("thermal");
 
 // Benchmark variables
 let cubes = [];
+let sceneGeometries = [];
+let instancedMeshes = [];
 let particles = [];
 let lights = [];
 let frameCount = 0;
+let frameTimes = [];
 let totalTime = 0;
-const maxTime = 30;
+let benchmarkDuration = DEFAULT_DURATION;
+// Set once a run option (URL, run(), a shared run) chose the duration; a
+// workload's own duration doesn't override it after that
+let durationPinned = false;
+let warmupDuration = DEFAULT_WARMUP;
 let running = false;
-let startTime = 0;
+// Set while a run waits for the hardware profile and renderer, so a second
+// start can't slip in before running is set
+let starting = false;
+// Identity of the run in progress, null between runs. Stage setup and frames
+// that resume from an await after their run ended (or another one started)
+// see a different value and drop out.
+let currentRun = null;
+
+// Stage variables
+const allParts = {
+    cubes: true,
+    particles: true,
+    lights: true,
+    explosions: true
+};
+// Stages of the current run: the benchmark stages plus the resolution sweep
+// when it is enabled
+let runStages = stages;
+// Max load search of the current run, null for a regular benchmark
+let loadSearch = null;
+// Interval recorder of a thermal test run, null otherwise
+let thermalRecorder = null;
+let stageDuration = benchmarkDuration / runStages.length;
+let stageIndex = 0;
+let stageOpen = false;
+let stageStartTime = 0;
+let stageWarmupEnd = 0;
+let stageMeasuring = false;
+// After the tab was hidden nothing is measured until the stage warmed up again
+let stageSettleEnd = 0;
+let pausedAt = null;
+let stageSetup = { sceneBuild: 0, shaderCompile: 0 };
+let stageFrameTimes = [];
+let stageBoundaries = [];
+let stageResults = [];
+let stageSimulation = { time: 0, particles: 0 };
+let stageRendererStats = createStatsAccumulator();
+let runRendererStats = createStatsAccumulator();
+// CPU/GPU frame time split: per stage, whole run and the live HUD window
+let stageTiming = createTimingAccumulator();
+let runTiming = createTimingAccumulator();
+let liveTiming = createTimingAccumulator();
+
+// Fixed-timestep simulation clock. A step is one 60 Hz frame, the unit the
+// integration code has always used for deltaTime.
+const SIMULATION_STEP = 1;
+const SIMULATION_STEP_MS = 1000 / 60;
+// Catch-up limit per rendered frame (below 7.5 FPS the world slows down)
+const MAX_SIMULATION_STEPS = 8;
+let simulationClock = { steps: 0, accumulator: 0 };
+let lastStageInfoUpdate = 0;
+
+// Seeded randomness, re-seeded at the start of every run
+let seed = DEFAULT_SEED;
+let random = createRandom(seed);
 
 // Effect variables
 let particleSystem;
 let explosionParticles = [];
 let cameraShake = { x: 0, y: 0, intensity: 0 };
-let postProcessing = false;
-
-// Enhanced quality settings for WebGPU
-const qualitySettings = {
-    insane: {
-        cubes: webgpuSupported ? 3000 : 2000,
-        particles: webgpuSupported ? 30000 : 20000,
-        lights: webgpuSupported ? 35 : 25,
-        effects: true,
-        complexity: webgpuSupported ? 6 : 4,
-        computeShaders: webgpuSupported
-    }
-};
+const maxExplosions = 8;
+// Post-processing chain of the current stage and its per-segment frame times
+let postChain = null;
+let postSegmentFrames = [];
+
+// Workload and its summary settings, stage parts, particle simulation and
+// object rendering modes of the current run
+let activeWorkload = null;
+let activeSettings = null;
+let activeParts = allParts;
+let activeSimulation = "cpu";
+let activeObjects = "meshes";
+let simulationPool = null;
+let presetEditor;
+
+// Structured result of the last finished run
+let lastResult = null;
+// Result opened from a share link, kept for comparing against local runs
+let sharedResult = null;
+let historyPanel;
+
+// Hardware profile, collected once at startup
+let hardwareProfile = null;
+let hardwareProfilePromise = null;
+
+// Automation state
+let renderResolution = null;
+let renderScale = 1;
+let reportEndpoint = null;
+let pendingRun = null;
+// Settles once the renderer and the menu are set up; runs wait for it
+let initialized = null;
+
+// Validity events of the current run, time in seconds since its start
+let runEvents = [];
+let runStartTime = 0;
+
+// Soak state while repeated runs are in progress:
+// { iterations, scores, snapshots, aborted }
+let soakRun = null;
+const automation = createAutomationAPI(runBenchmark);
+window.benchmark3d = automation;
 
 function clearScene() {
-    // Clear cubes
+    // Clear cubes; their geometries are shared and disposed once below
     cubes.forEach(cube => {
+        if (!cube.isMesh) return;
         scene.remove(cube);
-        cube.geometry.dispose();
         cube.material.dispose();
     });
     cubes = [];
 
+    instancedMeshes.forEach(mesh => {
+        scene.remove(mesh);
+        mesh.material.dispose();
+        mesh.dispose();
+    });
+    instancedMeshes = [];
+
+    sceneGeometries.forEach(geometry => geometry.dispose());
+    sceneGeometries = [];
+
     // Clear particles
     if (particleSystem) {
         scene.remove(particleSystem);
@@ -210,49 +371,69 @@ function clearScene() {
     });
     explosionParticles = [];
 
-    // Clear lights (keep ambient)
+    // Clear lights (keep ambient), releasing their shadow maps
     lights.forEach(light => {
         if (light.type !== "AmbientLight") {
             scene.remove(light);
+            light.dispose();
         }
     });
     lights = lights.filter(light => light.type === "AmbientLight");
 }
 
-function createEnhancedParticleSystem(count, color = 0xffffff, size = 0.1) {
+// Full teardown between soak runs: nothing of the last run may survive
+function teardownScene() {
+    clearScene();
+    lights.forEach(light => {
+        scene.remove(light);
+        light.dispose();
+    });
+    lights = [];
+    scene.fog = null;
+    scene.rotation.set(0, 0, 0);
+    cameraShake = { x: 0, y: 0, intensity: 0 };
+}
+
+// particles: the workload's { size, emitters }; every emitter fills its own
+// slice of one particle field
+function createEnhancedParticleSystem({ size, emitters }) {
+    const count = emitters.reduce((sum, emitter) => sum + emitter.count, 0);
     const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(count * 3);
-    const velocities = new Float32Array(count * 3);
-    const colors = new Float32Array(count * 3);
-    const scales = new Float32Array(count);
-    const lifetimes = new Float32Array(count);
-
-    for (let i = 0; i < count; i++) {
-        // Positions
-        positions[i * 3] = (Math.random() - 0.5) * 200;
-        positions[i * 3 + 1] = (Math.random() - 0.5) * 200;
-        positions[i * 3 + 2] = (Math.random() - 0.5) * 200;
-
-        // Velocities
-        velocities[i * 3] = (Math.random() - 0.5) * 2;
-        velocities[i * 3 + 1] = (Math.random() - 0.5) * 2;
-        velocities[i * 3 + 2] = (Math.random() - 0.5) * 2;
-
-        // Colors with enhanced HDR values for WebGPU
-        const hue = Math.random();
-        const saturation = 0.8 + Math.random() * 0.2;
-        const lightness = webgpuSupported
-            ? 0.7 + Math.random() * 0.8
-            : 0.5 + Math.random() * 0.5;
-        const rgb = hslToRgb(hue, saturation, lightness);
-        colors[i * 3] = rgb.r;
-        colors[i * 3 + 1] = rgb.g;
-        colors[i * 3 + 2] = rgb.b;
-
-        // Enhanced attributes for WebGPU
-        scales[i] = 0.5 + Math.random() * 1.5;
-        lifetimes[i] = Math.random();
-    }
+    const shared = activeSimulation === "workers" && sharedMemorySupported;
+    const positions = createSimulationArray(count * 3, shared);
+    const velocities = createSimulationArray(count * 3, shared);
+    const colors = createSimulationArray(count * 3, shared);
+    const scales = createSimulationArray(count, shared);
+    const lifetimes = createSimulationArray(count, shared);
+
+    const between = ([min, max]) => min + random() * (max - min);
+    let i = 0;
+    emitters.forEach(({ center, spread, speed, ...emitter }) => {
+        for (const end = i + emitter.count; i < end; i++) {
+            // Positions
+            positions[i * 3] = center[0] + (random() - 0.5) * spread;
+            positions[i * 3 + 1] = center[1] + (random() - 0.5) * spread;
+            positions[i * 3 + 2] = center[2] + (random() - 0.5) * spread;
+
+            // Velocities
+            velocities[i * 3] = (random() - 0.5) * speed;
+            velocities[i * 3 + 1] = (random() - 0.5) * speed;
+            velocities[i * 3 + 2] = (random() - 0.5) * speed;
+
+            // Colors with enhanced HDR values
+            const hue = between(emitter.hue);
+            const saturation = between(emitter.saturation);
+            const lightness = between(emitter.lightness);
+            const rgb = hslToRgb(hue, saturation, lightness);
+            colors[i * 3] = rgb.r;
+            colors[i * 3 + 1] = rgb.g;
+            colors[i * 3 + 2] = rgb.b;
+
+            // Enhanced attributes
+            scales[i] = between(emitter.scale);
+            lifetimes[i] = random();
+        }
+    });
 
     geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute("velocity", new THREE.BufferAttribute(velocities, 3));
@@ -260,50 +441,35 @@ function createEnhancedParticleSystem(count, color = 0xffffff, size = 0.1) {
     geometry.setAttribute("scale", new THREE.BufferAttribute(scales, 1));
     geometry.setAttribute("lifetime", new THREE.BufferAttribute(lifetimes, 1));
 
+    if (activeSimulation === "gpu") {
+        const points = new THREE.Points(
+            geometry,
+            createGpuParticleMaterial(renderer, { size, opacity: 0.9 })
+        );
+        // Particles move in the shader, the CPU bounding sphere is stale
+        points.frustumCulled = false;
+        points.userData.gpu = true;
+        return points;
+    }
+
     const material = new THREE.PointsMaterial({
         size: size,
         vertexColors: true,
         blending: THREE.AdditiveBlending,
         transparent: true,
-        opacity: webgpuSupported ? 0.9 : 0.8,
+        opacity: 0.9,
         sizeAttenuation: true
     });
 
-    // Enhanced material properties for WebGPU
-    if (webgpuSupported) {
-        material.toneMapped = true;
-    }
-
     return new THREE.Points(geometry, material);
 }
 
-function hslToRgb(h, s, l) {
-    let r, g, b;
-    if (s === 0) {
-        r = g = b = l;
-    } else {
-        const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1 / 6) return p + (q - p) * 6 * t;
-            if (t < 1 / 2) return q;
-            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-            return p;
-        };
-        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-        const p = 2 * l - q;
-        r = hue2rgb(p, q, h + 1 / 3);
-        g = hue2rgb(p, q, h);
-        b = hue2rgb(p, q, h - 1 / 3);
-    }
-    return { r, g, b };
-}
-
 function createExplosionEffect(position) {
-    const particleCount = webgpuSupported ? 300 : 200;
+    const particleCount = 300;
     const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(particleCount * 3);
-    const velocities = new Float32Array(particleCount * 3);
+    const shared = activeSimulation === "workers" && sharedMemorySupported;
+    const positions = createSimulationArray(particleCount * 3, shared);
+    const velocities = createSimulationArray(particleCount * 3, shared);
     const colors = new Float32Array(particleCount * 3);
 
     for (let i = 0; i < particleCount; i++) {
@@ -311,17 +477,17 @@ function createExplosionEffect(position) {
         positions[i * 3 + 1] = position.y;
         positions[i * 3 + 2] = position.z;
 
-        const speed = 5 + Math.random() * (webgpuSupported ? 15 : 10);
-        const phi = Math.random() * Math.PI * 2;
-        const theta = Math.random() * Math.PI;
+        const speed = 5 + random() * 15;
+        const phi = random() * Math.PI * 2;
+        const theta = random() * Math.PI;
 
         velocities[i * 3] = Math.sin(theta) * Math.cos(phi) * speed;
         velocities[i * 3 + 1] = Math.sin(theta) * Math.sin(phi) * speed;
         velocities[i * 3 + 2] = Math.cos(theta) * speed;
 
-        // Enhanced HDR colors for WebGPU
-        colors[i * 3] = webgpuSupported ? 1.5 : 1;
-        colors[i * 3 + 1] = Math.random() * (webgpuSupported ? 1.2 : 0.5);
+        // Enhanced HDR colors
+        colors[i * 3] = 1.5;
+        colors[i * 3 + 1] = random() * 1.2;
         colors[i * 3 + 2] = 0;
     }
 
@@ -329,143 +495,281 @@ function createExplosionEffect(position) {
     geometry.setAttribute("velocity", new THREE.BufferAttribute(velocities, 3));
     geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
 
-    const material = new THREE.PointsMaterial({
-        size: webgpuSupported ? 0.4 : 0.3,
-        vertexColors: true,
-        blending: THREE.AdditiveBlending,
-        transparent: true
-    });
+    const gpu = activeSimulation === "gpu";
+    const material = gpu
+        ? createGpuExplosionMaterial(renderer, { size: 0.4, opacity: 1 })
+        : new THREE.PointsMaterial({
+              size: 0.4,
+              vertexColors: true,
+              blending: THREE.AdditiveBlending,
+              transparent: true
+          });
 
     const explosion = new THREE.Points(geometry, material);
-    explosion.userData = { life: 1.0, maxLife: webgpuSupported ? 80 : 60 };
+    explosion.userData = { life: 1.0, maxLife: 80, gpu };
+    explosion.frustumCulled = !gpu;
     scene.add(explosion);
     explosionParticles.push(explosion);
 }
 
-function setupScene(quality) {
+// workload: scene description (workload.js), e.g. presetWorkload(quality)
+// modes.simulation: "cpu", "gpu" or "workers" particle simulation
+// modes.objects: "meshes" (one Mesh per object) or "instanced" (one
+// InstancedMesh per geometry type)
+// modes.load: multiplier for the workload's objects, particles and lights
+function setupScene(
+    workload,
+    parts = allParts,
+    { simulation = "cpu", objects = "meshes", load = 1 } = {}
+) {
     clearScene();
-    const settings = qualitySettings[quality];
-
-    // Enhanced ambient lighting for WebGPU
+    const scaled = scaleWorkload(workload, load);
+    const settings = workloadSettings(scaled);
+    activeWorkload = scaled;
+    activeSettings = settings;
+    activeParts = parts;
+    activeSimulation = simulation;
+    activeObjects = objects;
+    renderer.shadowMap.enabled = settings.shadows;
+
+    // Ambient light survives clearScene, so it follows the workload here
     if (lights.length === 0) {
-        const ambientLight = new THREE.AmbientLight(
-            0x404080,
-            webgpuSupported ? 0.4 : 0.3
-        );
+        const ambientLight = new THREE.AmbientLight();
         scene.add(ambientLight);
         lights.push(ambientLight);
     }
+    lights[0].color.set(scaled.ambient.color);
+    lights[0].intensity = scaled.ambient.intensity;
 
-    // Create dynamic cubes with enhanced materials
-    const geometries = [
-        new THREE.BoxGeometry(1, 1, 1),
-        new THREE.SphereGeometry(
-            0.5,
-            webgpuSupported ? 24 : 16,
-            webgpuSupported ? 24 : 16
-        ),
-        new THREE.ConeGeometry(0.5, 1, webgpuSupported ? 12 : 8),
-        new THREE.OctahedronGeometry(0.7),
-        ...(webgpuSupported
-            ? [
-                  new THREE.TorusGeometry(0.4, 0.2, 8, 16),
-                  new THREE.DodecahedronGeometry(0.5)
-              ]
-            : [])
-    ];
-
-    for (let i = 0; i < settings.cubes; i++) {
-        const geometry =
-            geometries[Math.floor(Math.random() * geometries.length)];
-
-        // Enhanced materials for WebGPU
-        const material = webgpuSupported
-            ? new THREE.MeshStandardMaterial({
-                  color: new THREE.Color().setHSL(Math.random(), 0.8, 0.6),
-                  roughness: 0.2 + Math.random() * 0.3,
-                  metalness: Math.random() * 0.8,
-                  transparent: true,
-                  opacity: 0.9,
-                  emissive: new THREE.Color().setHSL(Math.random(), 0.5, 0.1)
-              })
-            : new THREE.MeshPhongMaterial({
-                  color: new THREE.Color().setHSL(Math.random(), 0.8, 0.6),
-                  shininess: 100,
-                  transparent: true,
-                  opacity: 0.9
-              });
-
-        const cube = new THREE.Mesh(geometry, material);
+    // Objects, particles and lights draw from the seeded generator in this
+    // order, group by group
+    if (parts.cubes) {
+        scaled.objects.forEach(group => createObjectGroup(group, settings));
+    }
+
+    // One particle system holds every emitter
+    if (parts.particles) {
+        particleSystem = createEnhancedParticleSystem(scaled.particles);
+        scene.add(particleSystem);
+    }
+
+    if (parts.lights) {
+        scaled.lights.forEach(group => createLightGroup(group, settings));
+    }
+
+    const { camera: view } = scaled;
+    camera.fov = view.fov;
+    camera.near = view.near;
+    camera.far = view.far;
+    camera.updateProjectionMatrix();
+    camera.position.set(0, 0, view.distance);
+    camera.lookAt(0, 0, 0);
+
+    scene.fog = scaled.fog
+        ? new THREE.Fog(scaled.fog.color, scaled.fog.near, scaled.fog.far)
+        : null;
+}
+
+function createObjectGroup(group, settings) {
+    // Geometry detail scales with the workload's complexity
+    const firstGeometry = sceneGeometries.length;
+    const geometries = group.geometries.map(name =>
+        createWorkloadGeometry(name, settings.complexity)
+    );
+    sceneGeometries.push(...geometries);
+
+    const { material, animation, center, spread } = group;
+    const between = ([min, max]) => min + random() * (max - min);
+    for (let i = 0; i < group.count; i++) {
+        const geometryIndex = Math.floor(random() * geometries.length);
+
+        const materialParameters = {
+            color: new THREE.Color().setHSL(
+                between(material.hue),
+                material.saturation,
+                material.lightness
+            ),
+            roughness: between(material.roughness),
+            metalness: between(material.metalness),
+            emissive: new THREE.Color().setHSL(random(), 0.5, material.emissive)
+        };
+
+        // Instanced objects are plain transforms copied into their
+        // InstancedMesh every frame; the random sequence stays the same
+        const cube =
+            activeObjects === "instanced"
+                ? new THREE.Object3D()
+                : new THREE.Mesh(
+                      geometries[geometryIndex],
+                      createWorkloadMaterial(material, materialParameters)
+                  );
         cube.position.set(
-            (Math.random() - 0.5) * 150,
-            (Math.random() - 0.5) * 150,
-            (Math.random() - 0.5) * 150
+            center[0] + (random() - 0.5) * spread,
+            center[1] + (random() - 0.5) * spread,
+            center[2] + (random() - 0.5) * spread
         );
 
         cube.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+            random() * Math.PI,
+            random() * Math.PI,
+            random() * Math.PI
         );
 
-        // Enhanced animation data
         cube.userData = {
             rotationSpeed: {
-                x: (Math.random() - 0.5) * (webgpuSupported ? 0.03 : 0.02),
-                y: (Math.random() - 0.5) * (webgpuSupported ? 0.03 : 0.02),
-                z: (Math.random() - 0.5) * (webgpuSupported ? 0.03 : 0.02)
+                x: (random() - 0.5) * animation.spin,
+                y: (random() - 0.5) * animation.spin,
+                z: (random() - 0.5) * animation.spin
             },
             oscillation: {
-                phase: Math.random() * Math.PI * 2,
-                amplitude: Math.random() * (webgpuSupported ? 8 : 5) + 2
-            }
+                phase: random() * Math.PI * 2,
+                amplitude: between(animation.bob)
+            },
+            pulse: animation.pulse,
+            explosionChance: animation.explosionChance,
+            geometryIndex: firstGeometry + geometryIndex,
+            color: materialParameters.color
         };
 
-        cube.castShadow = true;
-        cube.receiveShadow = true;
-        scene.add(cube);
+        if (cube.isMesh) {
+            cube.castShadow = settings.shadows;
+            cube.receiveShadow = settings.shadows;
+            scene.add(cube);
+        }
         cubes.push(cube);
     }
 
-    // Create enhanced particle system
-    particleSystem = createEnhancedParticleSystem(settings.particles);
-    scene.add(particleSystem);
+    if (activeObjects === "instanced") {
+        createInstancedObjects(group, firstGeometry, settings);
+    }
+}
 
-    // Create enhanced dynamic lights
-    const lightColors = [
-        0xff4444, 0x44ff44, 0x4444ff, 0xffff44, 0xff44ff, 0x44ffff
-    ];
-    for (let i = 0; i < settings.lights; i++) {
-        const light = new THREE.PointLight(
-            lightColors[i % lightColors.length],
-            webgpuSupported ? 3 : 2,
-            webgpuSupported ? 120 : 100
-        );
+function createLightGroup(group, settings) {
+    const { center, spread, intensity } = group;
+    for (let i = 0; i < group.count; i++) {
+        const color = group.colors[i % group.colors.length];
+        const light =
+            group.type === "spot"
+                ? new THREE.SpotLight(
+                      color,
+                      intensity[1],
+                      group.distance,
+                      Math.PI / 6,
+                      0.3
+                  )
+                : new THREE.PointLight(color, intensity[1], group.distance);
         light.position.set(
-            (Math.random() - 0.5) * 200,
-            (Math.random() - 0.5) * 200,
-            (Math.random() - 0.5) * 200
+            center[0] + (random() - 0.5) * spread,
+            center[1] + (random() - 0.5) * spread,
+            center[2] + (random() - 0.5) * spread
         );
-        light.castShadow = settings.effects;
+        light.castShadow = settings.shadows;
         light.userData = {
             originalPosition: light.position.clone(),
-            phase: Math.random() * Math.PI * 2,
-            speed: 0.01 + Math.random() * (webgpuSupported ? 0.03 : 0.02)
+            phase: random() * Math.PI * 2,
+            speed:
+                group.speed[0] + random() * (group.speed[1] - group.speed[0]),
+            amplitude: group.amplitude,
+            intensity: (intensity[0] + intensity[1]) / 2,
+            flicker: (intensity[1] - intensity[0]) / 2
         };
         scene.add(light);
         lights.push(light);
     }
+}
 
-    // Camera position
-    camera.position.set(0, 0, 80);
-    camera.lookAt(0, 0, 0);
+// One InstancedMesh per geometry of the group holding every object of that
+// shape. Roughness, metalness and emissive can't vary per instance, so they
+// use the midpoints of the ranges the individual materials are drawn from.
+function createInstancedObjects(group, firstGeometry, settings) {
+    const { material } = group;
+    const midpoint = ([min, max]) => (min + max) / 2;
+    group.geometries.forEach((name, index) => {
+        const geometryIndex = firstGeometry + index;
+        const members = cubes.filter(
+            cube => cube.userData.geometryIndex === geometryIndex
+        );
+        if (members.length === 0) return;
+
+        const mesh = new THREE.InstancedMesh(
+            sceneGeometries[geometryIndex],
+            createWorkloadMaterial(material, {
+                roughness: midpoint(material.roughness),
+                metalness: midpoint(material.metalness),
+                emissive: new THREE.Color().setHSL(0, 0, material.emissive)
+            }),
+            members.length
+        );
+        members.forEach((cube, instanceIndex) => {
+            cube.userData.instancedMesh = mesh;
+            cube.updateMatrix();
+            mesh.setMatrixAt(instanceIndex, cube.matrix);
+            mesh.setColorAt(instanceIndex, cube.userData.color);
+        });
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        // Instances are culled one by one in syncInstances instead; the
+        // bounding sphere of the whole mesh is never current
+        mesh.frustumCulled = false;
+        mesh.geometry.computeBoundingSphere();
+        mesh.castShadow = settings.shadows;
+        mesh.receiveShadow = settings.shadows;
+        scene.add(mesh);
+        instancedMeshes.push(mesh);
+    });
+}
 
-    // Enhanced scene fog
-    scene.fog = new THREE.Fog(0x000011, 50, webgpuSupported ? 400 : 300);
+const cullFrustum = new THREE.Frustum();
+const cullMatrix = new THREE.Matrix4();
+const cullSphere = new THREE.Sphere();
+
+// Copy the animated transforms into the instance buffers. three.js culls an
+// InstancedMesh only as a whole, so the objects outside the view are left
+// out here, one by one, as the renderer does for the geometry stage's meshes.
+// The instance buffers are packed, so colours are written again with them,
+// and objects outside the view cast no shadows in this mode.
+function syncInstances() {
+    scene.updateMatrixWorld();
+    camera.updateMatrixWorld();
+    cullMatrix.multiplyMatrices(
+        camera.projectionMatrix,
+        camera.matrixWorldInverse
+    );
+    cullFrustum.setFromProjectionMatrix(cullMatrix, camera.coordinateSystem);
+
+    const counts = new Map(instancedMeshes.map(mesh => [mesh, 0]));
+    cubes.forEach(cube => {
+        const mesh = cube.userData.instancedMesh;
+        cube.updateMatrix();
+        cullSphere
+            .copy(mesh.geometry.boundingSphere)
+            .applyMatrix4(cube.matrix)
+            .applyMatrix4(scene.matrixWorld);
+        if (!cullFrustum.intersectsSphere(cullSphere)) return;
+        const index = counts.get(mesh);
+        mesh.setMatrixAt(index, cube.matrix);
+        mesh.setColorAt(index, cube.userData.color);
+        counts.set(mesh, index + 1);
+    });
+    counts.forEach((count, mesh) => {
+        mesh.count = count;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+    });
 }
 
-function updateParticles(deltaTime) {
-    if (!particleSystem) return;
+// Returns the number of particles simulated this step
+function updateParticles(deltaTime, time) {
+    if (!particleSystem) return 0;
+
+    // GPU mode: the shader derives everything from time
+    if (particleSystem.userData.gpu) {
+        const { uniforms } = particleSystem.material.userData;
+        uniforms.time.value += deltaTime;
+        uniforms.seconds.value = time;
+        updateGpuPointScale(particleSystem.material, renderer);
+        return particleSystem.geometry.attributes.position.count;
+    }
 
     const positions = particleSystem.geometry.attributes.position.array;
     const velocities = particleSystem.geometry.attributes.velocity.array;
@@ -473,60 +777,54 @@ function updateParticles(deltaTime) {
     const scales = particleSystem.geometry.attributes.scale?.array;
     const lifetimes = particleSystem.geometry.attributes.lifetime?.array;
 
-    for (let i = 0; i < positions.length; i += 3) {
-        const particleIndex = i / 3;
-
-        // Update positions
-        positions[i] += velocities[i] * deltaTime;
-        positions[i + 1] += velocities[i + 1] * deltaTime;
-        positions[i + 2] += velocities[i + 2] * deltaTime;
-
-        // Update lifetimes and scales for WebGPU
-        if (webgpuSupported && lifetimes && scales) {
-            lifetimes[particleIndex] += deltaTime * 0.01;
-            scales[particleIndex] =
-                0.5 + Math.sin(lifetimes[particleIndex] * 2) * 0.5;
-        }
-
-        // Boundary check and reset
-        if (
-            Math.abs(positions[i]) > 150 ||
-            Math.abs(positions[i + 1]) > 150 ||
-            Math.abs(positions[i + 2]) > 150
-        ) {
-            positions[i] = (Math.random() - 0.5) * 50;
-            positions[i + 1] = (Math.random() - 0.5) * 50;
-            positions[i + 2] = (Math.random() - 0.5) * 50;
-
-            if (lifetimes) lifetimes[particleIndex] = 0;
-        }
-
-        // Enhanced color animation for WebGPU
-        const time = performance.now() * 0.001;
-        const hue = (time * 0.1 + i * 0.01) % 1;
-        const intensity = webgpuSupported ? 1.2 : 0.6;
-        const rgb = hslToRgb(hue, 0.8, intensity);
-        colors[i] = rgb.r;
-        colors[i + 1] = rgb.g;
-        colors[i + 2] = rgb.b;
+    // With a worker pool the integration runs in stepSimulationPool
+    if (!simulationPool) {
+        integrateParticles(
+            { positions, velocities, colors, scales, lifetimes },
+            deltaTime,
+            time,
+            random
+        );
     }
 
     particleSystem.geometry.attributes.position.needsUpdate = true;
     particleSystem.geometry.attributes.color.needsUpdate = true;
-    if (webgpuSupported) {
-        if (scales) particleSystem.geometry.attributes.scale.needsUpdate = true;
-        if (lifetimes)
-            particleSystem.geometry.attributes.lifetime.needsUpdate = true;
-    }
+    if (scales) particleSystem.geometry.attributes.scale.needsUpdate = true;
+    if (lifetimes)
+        particleSystem.geometry.attributes.lifetime.needsUpdate = true;
+
+    return positions.length / 3;
 }
 
+// Integrate the particle field and explosions on the worker pool
+function stepSimulationPool(deltaTime, time) {
+    const field = particleSystem?.geometry.attributes;
+    return simulationPool.step(
+        field && {
+            positions: field.position.array,
+            velocities: field.velocity.array,
+            colors: field.color.array,
+            scales: field.scale?.array,
+            lifetimes: field.lifetime?.array
+        },
+        explosionParticles.map(explosion => ({
+            positions: explosion.geometry.attributes.position.array,
+            velocities: explosion.geometry.attributes.velocity.array
+        })),
+        deltaTime,
+        time
+    );
+}
+
+// Returns the number of explosion particles simulated this step
 function updateExplosions(deltaTime) {
+    let simulated = 0;
     for (let i = explosionParticles.length - 1; i >= 0; i--) {
         const explosion = explosionParticles[i];
         const positions = explosion.geometry.attributes.position.array;
         const velocities = explosion.geometry.attributes.velocity.array;
 
-        explosion.userData.life -= deltaTime * (webgpuSupported ? 0.015 : 0.02);
+        explosion.userData.life -= deltaTime * 0.015;
 
         if (explosion.userData.life <= 0) {
             scene.remove(explosion);
@@ -536,79 +834,431 @@ function updateExplosions(deltaTime) {
             continue;
         }
 
-        // Update particle positions
-        for (let j = 0; j < positions.length; j += 3) {
-            positions[j] += velocities[j] * deltaTime;
-            positions[j + 1] += velocities[j + 1] * deltaTime;
-            positions[j + 2] += velocities[j + 2] * deltaTime;
-
-            // Apply enhanced physics for WebGPU
-            velocities[j + 1] -= (webgpuSupported ? 0.7 : 0.5) * deltaTime;
+        if (explosion.userData.gpu) {
+            const { uniforms } = explosion.material.userData;
+            uniforms.age.value += deltaTime;
+            uniforms.opacity.value = explosion.userData.life;
+            updateGpuPointScale(explosion.material, renderer);
+            simulated += positions.length / 3;
+            continue;
+        }
 
-            // Air resistance for WebGPU
-            if (webgpuSupported) {
-                velocities[j] *= 0.999;
-                velocities[j + 1] *= 0.999;
-                velocities[j + 2] *= 0.999;
-            }
+        if (!simulationPool) {
+            integrateExplosion(positions, velocities, deltaTime);
         }
 
         explosion.geometry.attributes.position.needsUpdate = true;
         explosion.material.opacity = explosion.userData.life;
+        simulated += positions.length / 3;
+    }
+    return simulated;
+}
+
+// Keep the explosion pool full in stages that measure simulation. They have
+// no objects to set explosions off; where objects are drawn, explosions come
+// from their explosionChance alone.
+function fillExplosionPool() {
+    if (
+        !activeSettings.effects ||
+        !activeParts.explosions ||
+        activeParts.cubes
+    ) {
+        return;
+    }
+    while (explosionParticles.length < maxExplosions) {
+        createExplosionEffect(
+            new THREE.Vector3(
+                (random() - 0.5) * 100,
+                (random() - 0.5) * 100,
+                (random() - 0.5) * 100
+            )
+        );
     }
 }
 
-function startBenchmark() {
+async function startBenchmark() {
+    if (running || starting) return;
+    starting = true;
+    try {
+        await initialized;
+        await hardwareProfilePromise;
+        if (backendSelect.value !== rendererBackend) {
+            await initRenderer(backendSelect.value);
+            if (hardwareProfile) {
+                hardwareProfile = profileRenderer(hardwareProfile, renderer);
+                showHardwareProfile(hardwareProfile);
+            }
+        }
+    } finally {
+        starting = false;
+    }
+
+    renderResolution = parseResolution(resolutionSelect.value);
+    loadSearch =
+        maxLoadSelect.value === "off"
+            ? null
+            : createLoadSearch(Number(maxLoadSelect.value));
+    const thermalMinutes =
+        thermalSelect.value === "off" ? 0 : Number(thermalSelect.value);
+    thermalRecorder =
+        !loadSearch && thermalMinutes > 0 ? createThermalRecorder() : null;
+    if (loadSearch) {
+        runStages = [createProbeStage(loadSearch.load)];
+        stageDuration = PROBE_DURATION;
+    } else if (thermalRecorder) {
+        runStages = [createThermalStage(thermalMinutes)];
+        stageDuration = thermalMinutes * 60;
+    } else {
+        runStages =
+            sweepSelect.value === "on"
+                ? [...stages, ...createSweepStages()]
+                : stages;
+        // The duration is split over the standard stages only; sweep stages
+        // run on top at the same length, so scored stages measure the same
+        // slice with or without the sweep
+        stageDuration = benchmarkDuration / stages.length;
+    }
+    renderScale = 1;
+    applyRenderSize();
+
+    seed = normalizeSeed(seedInput.value);
+    seedInput.value = seed;
+    random = createRandom(seed);
+
+    const soakIterations = Math.max(1, Math.floor(soakInput.value) || 1);
+    if (!soakRun && soakIterations > 1) {
+        soakRun = {
+            iterations: soakIterations,
+            scores: [],
+            snapshots: [],
+            aborted: false
+        };
+    }
+
     running = true;
+    currentRun = {};
     frameCount = 0;
+    frameTimes = [];
+    backendFrames = {};
+    stageBoundaries = [];
+    stageResults = [];
+    runRendererStats = createStatsAccumulator();
+    runTiming = createTimingAccumulator();
+    runEvents = [];
+    runStartTime = performance.now();
+    pausedAt = null;
     totalTime = 0;
-    startTime = performance.now();
     resultBox.style.display = "none";
 
     // Hide UI after starting benchmark
     document.getElementById("ui").style.display = "none";
+    historyBox.style.display = "none";
+    presetEditor.hide();
+    stageInfo.style.display = "block";
+
+    automation.emit("start", {
+        seed,
+        quality: qualitySelect.value,
+        duration: stageDuration * runStages.length,
+        warmup: warmupDuration,
+        stages: runStages.map(stage => stage.id)
+    });
+    if (await beginStage(0)) animate();
+}
 
-    setupScene(qualitySelect.value);
-
-    // Add enhanced initial explosions
-    setTimeout(() => {
-        if (running) {
-            const explosionCount = webgpuSupported ? 5 : 3;
-            for (let i = 0; i < explosionCount; i++) {
-                setTimeout(() => {
-                    if (running) {
-                        createExplosionEffect(
-                            new THREE.Vector3(
-                                (Math.random() - 0.5) * 100,
-                                (Math.random() - 0.5) * 100,
-                                (Math.random() - 0.5) * 100
-                            )
-                        );
-                    }
-                }, i * 800);
-            }
+// Build the scene for one stage; every stage starts from the same seed so it
+// does not depend on how many frames the previous stage rendered
+// Resolves false when the run ended while the stage was being set up
+async function beginStage(index) {
+    const run = currentRun;
+    const stage = runStages[index];
+    stageIndex = index;
+
+    simulationPool?.dispose();
+    simulationPool = null;
+    if (stage.simulation === "workers") {
+        const threads =
+            stage.threads === "all"
+                ? navigator.hardwareConcurrency || 1
+                : stage.threads;
+        const pool = await createSimulationPool(threads, seed + index);
+        if (run !== currentRun) {
+            pool.dispose();
+            return false;
         }
-    }, 2000);
+        simulationPool = pool;
+    }
 
-    animate();
+    automation.emit("stage", {
+        index,
+        id: stage.id,
+        name: stage.name,
+        count: runStages.length
+    });
+
+    renderScale = stage.renderScale ?? 1;
+    applyRenderSize();
+
+    // Setup phase: build the scene, then compile every shader it needs up
+    // front instead of lazily on the first frames
+    random = createRandom(seed + index);
+    const buildStart = performance.now();
+    setupScene(presetWorkload(qualitySelect.value), stage.parts, {
+        simulation: stage.simulation ?? simulationSelect.value,
+        objects: stage.objects ?? objectsSelect.value,
+        load: stage.load
+    });
+    fillExplosionPool();
+    disposePostChain();
+    if (stage.postProcessing) {
+        postChain = createPostProcessing(
+            renderer,
+            scene,
+            camera,
+            activeSettings,
+            gpuTimer
+        );
+        if (!postChain) {
+            console.warn("Post-processing needs the WebGL renderer, skipped");
+        }
+        postSegmentFrames = Array.from(
+            { length: (postChain?.passes.length ?? 0) + 1 },
+            () => []
+        );
+    }
+    const compileStart = performance.now();
+    await renderer.compileAsync(scene, camera);
+    if (run !== currentRun) return false;
+    stageSetup = {
+        sceneBuild: compileStart - buildStart,
+        shaderCompile: performance.now() - compileStart
+    };
+
+    stageOpen = true;
+    stageFrameTimes = [];
+    stageSimulation = { time: 0, particles: 0 };
+    simulationClock = { steps: 0, accumulator: 0 };
+    stageRendererStats = createStatsAccumulator();
+    stageTiming = createTimingAccumulator();
+    stageBoundaries.push(frameTimes.length);
+    animate.lastTime = undefined;
+    stageStartTime = performance.now();
+    stageWarmupEnd = stageStartTime + warmupDuration * 1000;
+    stageMeasuring = false;
+    stageSettleEnd = 0;
+    updateStageInfo(stageStartTime);
+    return true;
+}
+
+function finishStage() {
+    const stage = runStages[stageIndex];
+    const duration = stageFrameTimes.reduce((sum, ms) => sum + ms, 0) / 1000;
+    const avgFPS = duration > 0 ? stageFrameTimes.length / duration : 0;
+    const frameStats = computeFrameStats(stageFrameTimes);
+    const pixels = renderer.domElement.width * renderer.domElement.height;
+    const postProcessing = postChain
+        ? summarizePassTimings(postChain.passes, postSegmentFrames)
+        : null;
+    const throughput = computeStageThroughput(stage, {
+        settings: activeSettings,
+        frameStats,
+        pixels,
+        simulatedParticles: stageSimulation.particles,
+        simulationTime: stageSimulation.time,
+        postProcessing
+    });
+    stageResults.push({
+        id: stage.id,
+        name: stage.name,
+        duration,
+        frames: stageFrameTimes.length,
+        firstFrame: stageBoundaries[stageIndex],
+        avgFPS,
+        frameStats,
+        pixels,
+        simulation: activeSimulation,
+        objects: activeObjects,
+        threads: simulationPool?.size ?? 1,
+        simulationSteps: simulationClock.steps,
+        ...(stage.renderScale !== undefined && {
+            renderScale: stage.renderScale
+        }),
+        setup: stageSetup,
+        rendererStats: stageRendererStats.summary(),
+        timing: timingSummary(stageTiming, frameStats.median),
+        ...(stage.postProcessing && {
+            postProcessing: postProcessing ?? { supported: false }
+        }),
+        warmup: warmupDuration,
+        throughput,
+        unit: stage.unit,
+        weight: stage.weight,
+        score: computeStageScore(stage, throughput)
+    });
+    totalTime += duration;
+    stageOpen = false;
 }
 
+function updateStageInfo(currentTime) {
+    const stage = runStages[stageIndex];
+    const measureStart = Math.max(stageWarmupEnd, stageSettleEnd);
+    const warmingUp = currentTime < measureStart;
+    const elapsed = Math.min(
+        Math.max((currentTime - stageWarmupEnd) / 1000, 0),
+        stageDuration
+    );
+    stageInfo.innerHTML = `
+        Stage ${stageIndex + 1}/${runStages.length}: ${stage.name}
+        <span>${
+            warmingUp
+                ? `warm-up ${((measureStart - currentTime) / 1000).toFixed(1)}s`
+                : `${elapsed.toFixed(1)} / ${stageDuration.toFixed(1)}s`
+        }</span>
+        <div class="stageProgress">
+            <div style="width: ${(elapsed / stageDuration) * 100}%"></div>
+        </div>
+    `;
+    lastStageInfoUpdate = currentTime;
+
+    automation.emit("progress", {
+        stage: stageIndex,
+        id: stage.id,
+        warmup: warmingUp,
+        elapsed: stageIndex * stageDuration + elapsed,
+        duration: stageDuration * runStages.length,
+        progress: (stageIndex + elapsed / stageDuration) / runStages.length
+    });
+}
+
+// requestAnimationFrame callback. A frame that throws (a worker error, a
+// stage that fails to build or compile) ends the run instead of hanging it.
 function animate() {
+    renderFrame().catch(failRun);
+}
+
+async function renderFrame() {
     if (!running) return;
+    const run = currentRun;
 
     stats.begin();
 
+    // Frames that start during the warm-up are rendered but not measured
     const currentTime = performance.now();
-    const deltaTime = Math.min(
-        (currentTime - (animate.lastTime || currentTime)) / 16.67,
-        2
-    );
+    const frameTime =
+        animate.lastTime === undefined ? 0 : currentTime - animate.lastTime;
+    stageMeasuring =
+        animate.lastTime !== undefined &&
+        animate.lastTime >= stageWarmupEnd &&
+        animate.lastTime >= stageSettleEnd;
+    if (stageMeasuring) {
+        if (frameTime > LONG_PAUSE_MS) {
+            recordEvent("pause", { ms: Math.round(frameTime) });
+        }
+        frameTimes.push(frameTime);
+        stageFrameTimes.push(frameTime);
+        // The frame just timed ran with the chain as it was last set
+        if (postChain) postSegmentFrames[postChain.activeCount].push(frameTime);
+        thermalRecorder?.add(frameTime);
+    }
     animate.lastTime = currentTime;
 
-    // Enhanced scene rotation for WebGPU
-    const rotationSpeed = webgpuSupported ? 0.007 : 0.005;
-    scene.rotation.y += rotationSpeed;
-    scene.rotation.x += rotationSpeed * 0.4;
+    // Advance the world in whole fixed steps covering the elapsed time; past
+    // the catch-up limit the remainder is dropped and the world slows down
+    simulationClock.accumulator += frameTime;
+    let steps = Math.floor(simulationClock.accumulator / SIMULATION_STEP_MS);
+    if (steps > MAX_SIMULATION_STEPS) {
+        steps = MAX_SIMULATION_STEPS;
+        simulationClock.accumulator = 0;
+    } else {
+        simulationClock.accumulator -= steps * SIMULATION_STEP_MS;
+    }
+    const simulationStart = performance.now();
+    for (let i = 0; i < steps; i++) {
+        await stepWorld();
+        if (run !== currentRun) return;
+    }
+
+    if (instancedMeshes.length > 0) syncInstances();
+
+    const cpuSimulation = performance.now() - simulationStart;
+
+    // Render submission, with GPU timer queries around every pass; only
+    // measured frames are tagged with their stage
+    renderer.info.reset();
+    const submitStart = performance.now();
+    gpuTimer.beginFrame(stageMeasuring ? stageIndex : null);
+    if (postChain) {
+        // All passes during the warm-up, then one more pass per segment
+        const segments = postChain.passes.length + 1;
+        const measured = (currentTime - stageWarmupEnd) / 1000;
+        postChain.setActiveCount(
+            measured < 0
+                ? segments - 1
+                : Math.min(
+                      Math.floor((measured / stageDuration) * segments),
+                      segments - 1
+                  )
+        );
+        postChain.render(frameTime / 1000);
+    } else {
+        gpuTimer.measure("scene", () => renderer.render(scene, camera));
+    }
+    gpuTimer.endFrame();
+    const cpuSubmit = performance.now() - submitStart;
+    stats.end();
+
+    liveTiming.addCPU(cpuSimulation, cpuSubmit);
+    if (stageMeasuring) {
+        stageTiming.addCPU(cpuSimulation, cpuSubmit);
+        runTiming.addCPU(cpuSimulation, cpuSubmit);
+    }
+    gpuTimer.poll().forEach(sample => {
+        liveTiming.addGPU(sample);
+        if (sample.tag === stageIndex && stageOpen) {
+            stageTiming.addGPU(sample);
+            runTiming.addGPU(sample);
+        }
+    });
+
+    const rendererSample = sampleRendererInfo(renderer);
+    if (stageMeasuring) {
+        stageRendererStats.add(rendererSample);
+        runRendererStats.add(rendererSample);
+        const backendName = activeBackendName();
+        backendFrames[backendName] = (backendFrames[backendName] || 0) + 1;
+        frameCount++;
+    }
+
+    if (currentTime - lastStageInfoUpdate > 250) {
+        updateStageInfo(currentTime);
+        rendererHUD.update(rendererSample);
+        const live = liveTiming.summary();
+        timingHUD.update(live, bottleneckVerdict(live, frameTime));
+        liveTiming = createTimingAccumulator();
+    }
+
+    if (run !== currentRun) return;
+    if ((currentTime - stageWarmupEnd) / 1000 < stageDuration) {
+        requestAnimationFrame(animate);
+    } else if (stageIndex + 1 < runStages.length || queueProbe()) {
+        finishStage();
+        if (await beginStage(stageIndex + 1)) requestAnimationFrame(animate);
+    } else {
+        finishBenchmark();
+    }
+}
+
+// One fixed simulation step. Everything that moves or rolls the random
+// generator happens here, driven by simulation time, so every device
+// simulates the same world no matter how fast it renders.
+async function stepWorld() {
+    const deltaTime = SIMULATION_STEP;
+    simulationClock.steps++;
+    const time = (simulationClock.steps * SIMULATION_STEP_MS) / 1000;
+
+    // Enhanced scene rotation
+    scene.rotation.x += activeWorkload.rotation[0];
+    scene.rotation.y += activeWorkload.rotation[1];
 
     // Update cubes with enhanced animation
     cubes.forEach((cube, index) => {
@@ -617,38 +1267,31 @@ function animate() {
         cube.rotation.z += cube.userData.rotationSpeed.z;
 
         // Enhanced oscillating movement
-        const time = currentTime * 0.001;
         const osc = cube.userData.oscillation;
         cube.position.y +=
             Math.sin(time * 2 + osc.phase) * osc.amplitude * 0.01;
 
-        // Enhanced scale animation for WebGPU
-        if (webgpuSupported) {
-            const scale = 1 + Math.sin(time * 3 + index) * 0.1;
-            cube.scale.setScalar(scale);
-        }
+        // Enhanced scale animation
+        const scale = 1 + Math.sin(time * 3 + index) * cube.userData.pulse;
+        cube.scale.setScalar(scale);
 
-        // Enhanced explosion frequency for WebGPU
-        const explosionChance = webgpuSupported ? 0.00015 : 0.0001;
-        const maxExplosions = webgpuSupported ? 8 : 5;
+        // Enhanced explosion frequency
         if (
-            Math.random() < explosionChance &&
+            activeSettings.effects &&
+            activeParts.explosions &&
+            random() < cube.userData.explosionChance &&
             explosionParticles.length < maxExplosions
         ) {
             createExplosionEffect(cube.position);
-            cameraShake.intensity = Math.max(
-                cameraShake.intensity,
-                webgpuSupported ? 0.7 : 0.5
-            );
+            cameraShake.intensity = Math.max(cameraShake.intensity, 0.7);
         }
     });
 
     // Enhanced dynamic lights animation
     lights.forEach(light => {
         if (light.userData && light.userData.originalPosition) {
-            const time = currentTime * 0.001;
             const data = light.userData;
-            const amplitude = webgpuSupported ? 40 : 30;
+            const { amplitude } = data;
             light.position.x =
                 data.originalPosition.x +
                 Math.sin(time * data.speed) * amplitude;
@@ -659,23 +1302,28 @@ function animate() {
                 data.originalPosition.z +
                 Math.sin(time * data.speed * 0.7) * (amplitude * 0.8);
 
-            // Enhanced light intensity animation for WebGPU
-            if (webgpuSupported) {
-                light.intensity = 2 + Math.sin(time * data.speed * 2) * 1;
-            }
+            // Enhanced light intensity animation
+            light.intensity =
+                data.intensity + Math.sin(time * data.speed * 2) * data.flicker;
         }
     });
 
-    // Update particles
-    updateParticles(deltaTime);
+    fillExplosionPool();
 
-    // Update explosions
-    updateExplosions(deltaTime);
+    // Update particles and explosions, timing the CPU-side simulation
+    const simulationStart = performance.now();
+    let simulated = updateParticles(deltaTime, time);
+    simulated += updateExplosions(deltaTime);
+    if (simulationPool) await stepSimulationPool(deltaTime, time);
+    if (stageMeasuring) {
+        stageSimulation.time += performance.now() - simulationStart;
+        stageSimulation.particles += simulated;
+    }
 
     // Enhanced camera shake
     if (cameraShake.intensity > 0) {
-        cameraShake.x = (Math.random() - 0.5) * cameraShake.intensity;
-        cameraShake.y = (Math.random() - 0.5) * cameraShake.intensity;
+        cameraShake.x = (random() - 0.5) * cameraShake.intensity;
+        cameraShake.y = (random() - 0.5) * cameraShake.intensity;
         cameraShake.intensity *= 0.95;
 
         camera.position.x += cameraShake.x;
@@ -683,107 +1331,646 @@ function animate() {
     }
 
     // Enhanced auto camera movement
-    const time = currentTime * 0.001;
-    const cameraRadius = webgpuSupported ? 25 : 20;
-    const cameraDistance = webgpuSupported ? 35 : 30;
-    camera.position.x = Math.sin(time * 0.3) * cameraRadius;
-    camera.position.z = 80 + Math.cos(time * 0.2) * cameraDistance;
+    const { distance, sway, swaySpeed } = activeWorkload.camera;
+    camera.position.x = Math.sin(time * swaySpeed[0]) * sway[0];
+    camera.position.z = distance + Math.cos(time * swaySpeed[1]) * sway[1];
     camera.lookAt(0, 0, 0);
+}
 
-    renderer.render(scene, camera);
-    stats.end();
+// Max load mode: feed the finished probe to the search and queue the next one
+function queueProbe() {
+    if (!loadSearch) return false;
+    const next = loadSearch.record(computeFrameStats(stageFrameTimes).median);
+    if (next === null) return false;
+    runStages.push(createProbeStage(next));
+    return true;
+}
 
-    frameCount++;
-    totalTime = (currentTime - startTime) / 1000;
+function recordEvent(type, detail = {}) {
+    const event = {
+        type,
+        time: (performance.now() - runStartTime) / 1000,
+        stage: runStages[stageIndex]?.id ?? null,
+        ...detail
+    };
+    runEvents.push(event);
+    automation.emit("validity", event);
+}
 
-    if (totalTime < maxTime && running) {
-        requestAnimationFrame(animate);
-    } else {
-        finishBenchmark();
-    }
+// rAF stops while the tab is hidden, so the gap must not become a frame
+function pauseRun() {
+    if (!running || pausedAt !== null) return;
+    pausedAt = performance.now();
+    recordEvent("hidden");
+}
+
+// Move the stage clock past the hidden time and warm up again before
+// measuring, so the stage still measures its full duration
+function resumeRun() {
+    if (pausedAt === null) return;
+    const now = performance.now();
+    const settle = warmupDuration * 1000;
+    stageWarmupEnd += now + settle - pausedAt;
+    stageSettleEnd = now + settle;
+    animate.lastTime = undefined;
+    recordEvent("visible", { hidden: (now - pausedAt) / 1000 });
+    pausedAt = null;
+}
+
+// Nothing rendered after a context loss is meaningful: end the run here
+function handleContextLost(message) {
+    if (!running) return;
+    recordEvent("contextLost", { message });
+    if (soakRun) soakRun.aborted = true;
+    finishBenchmark();
+}
+
+function disposePostChain() {
+    postChain?.dispose();
+    postChain = null;
 }
 
 function finishBenchmark() {
     running = false;
-    const avgFPS = frameCount / totalTime;
-    const quality = qualitySelect.value;
-    const settings = qualitySettings[quality];
+    currentRun = null;
+    if (stageOpen) finishStage();
+    simulationPool?.dispose();
+    simulationPool = null;
+    disposePostChain();
+    stageInfo.style.display = "none";
+
+    lastResult = buildResult();
+
+    if (soakRun) {
+        // Tear down and snapshot what is still alive, then go again
+        teardownScene();
+        soakRun.scores.push(lastResult.score.value);
+        soakRun.snapshots.push(takeResourceSnapshot(renderer, scene));
+        automation.emit("soak", {
+            iteration: soakRun.scores.length,
+            iterations: soakRun.iterations,
+            snapshot: soakRun.snapshots[soakRun.snapshots.length - 1]
+        });
+        if (!soakRun.aborted && soakRun.scores.length < soakRun.iterations) {
+            startBenchmark().catch(failRun);
+            return;
+        }
+        lastResult.soak = {
+            iterations: soakRun.iterations,
+            scores: soakRun.scores,
+            snapshots: soakRun.snapshots,
+            leaks: detectLeaks(soakRun.snapshots)
+        };
+        soakRun = null;
+    }
+
+    showResults([lastResult]);
+    saveRun(lastResult)
+        .then(() => historyPanel.refresh())
+        .catch(e => console.warn("Could not store run in history:", e));
+
+    automation.emit("complete", lastResult);
+    pendingRun?.resolve(lastResult);
+    pendingRun = null;
+    if (reportEndpoint) {
+        postResult(reportEndpoint, lastResult).catch(e => {
+            console.error(e);
+            automation.emit("error", { message: e.message });
+        });
+    }
+}
+
+function buildResult() {
+    return {
+        format: RESULT_FORMAT,
+        formatVersion: RESULT_FORMAT_VERSION,
+        timestamp: new Date().toISOString(),
+        seed,
+        duration: benchmarkDuration,
+        warmup: warmupDuration,
+        resolution: renderResolution,
+        quality: qualitySelect.value,
+        // Loaded and custom workloads travel with the result so the run can
+        // be repeated; the built-in presets are known by name
+        workload: {
+            name: activeWorkload.name,
+            definition:
+                qualitySelect.value === "custom" ||
+                qualitySelect.value.startsWith("file:")
+                    ? presetWorkload(qualitySelect.value)
+                    : null
+        },
+        settings: { ...activeSettings },
+        simulation: simulationSelect.value,
+        objects: objectsSelect.value,
+        // The run modes as chosen in the menu, in run() option form
+        modes: {
+            sweep: sweepSelect.value === "on",
+            maxLoad: loadSearch ? Number(maxLoadSelect.value) : null,
+            thermal: thermalRecorder ? Number(thermalSelect.value) : null,
+            soak: soakRun?.iterations ?? 1
+        },
+        renderer: {
+            requested: rendererBackend,
+            backends: { ...backendFrames }
+        },
+        // cpu and gpu read Unknown when profiling failed
+        hardware: {
+            cpu: "Unknown",
+            gpu: "Unknown",
+            ...hardwareProfile,
+            userAgent: navigator.userAgent
+        },
+        // Max load and thermal runs have no fixed set of stages to score
+        score:
+            loadSearch || thermalRecorder
+                ? { version: SCORE_VERSION, value: null }
+                : computeCompositeScore(stageResults),
+        maxLoad:
+            loadSearch?.result(qualitySettings[qualitySelect.value]) ?? null,
+        thermal: thermalRecorder
+            ? analyzeThermal(thermalRecorder.finish())
+            : null,
+        rendererStats: runRendererStats.summary(),
+        timing: timingSummary(runTiming, computeFrameStats(frameTimes).median),
+        setup: {
+            sceneBuild: sumStages(stage => stage.setup.sceneBuild),
+            shaderCompile: sumStages(stage => stage.setup.shaderCompile)
+        },
+        cpu: {
+            threads: navigator.hardwareConcurrency || 1,
+            sharedMemory: sharedMemorySupported,
+            scaling: cpuScaling()
+        },
+        summary: {
+            frames: frameCount,
+            duration: totalTime,
+            avgFPS: totalTime > 0 ? frameCount / totalTime : 0,
+            frameStats: computeFrameStats(frameTimes)
+        },
+        sweep: analyzeSweep(stageResults),
+        validity: assessValidity({
+            events: runEvents,
+            stages: stageResults,
+            frameTimes,
+            refreshRate: hardwareProfile?.screen.refreshRate
+        }),
+        stages: stageResults,
+        frameTimes: frameTimes.map(ms => Math.round(ms * 1000) / 1000)
+    };
+}
+
+function timingSummary(accumulator, medianFrameTime) {
+    const summary = accumulator.summary();
+    return {
+        ...summary,
+        verdict: bottleneckVerdict(summary, medianFrameTime),
+        api: gpuTimer.api ?? null
+    };
+}
+
+function sumStages(value) {
+    return stageResults.reduce((sum, stage) => sum + value(stage), 0);
+}
 
+// Multi-thread over single-thread worker throughput
+function cpuScaling() {
+    const single = stageResults.find(stage => stage.id === "cpuThreadsSingle");
+    const multi = stageResults.find(stage => stage.id === "cpuThreads");
+    return single?.throughput > 0 && multi
+        ? multi.throughput / single.throughput
+        : null;
+}
+
+// Show one result, or several side by side
+function showResults(results) {
+    const shared = results.length === 1 && results[0] === sharedResult;
+    const single =
+        (results.length === 1 && results[0] === lastResult) || shared;
     resultBox.innerHTML = `
-        <h2 style="color: #00ff88; margin-bottom: 15px;">BENCHMARK COMPLETE</h2>
-        <div style="font-size: 24px; margin: 10px 0; color: #ffff00;">
-            Average FPS: ${avgFPS.toFixed(1)}
-        </div>
-        <div style="font-size: 16px; margin: 10px 0; color: ${
-            webgpuSupported ? "#00ff88" : "#ff8800"
-        };">
-            Renderer: ${
-                webgpuSupported ? "WebGPU-Enhanced WebGL ⚡" : "Standard WebGL"
-            }
-        </div>
-        <p>CPU: ${document.getElementById("cpuName").textContent}</p>
-        <p>GPU: ${document.getElementById("gpuName").textContent}</p>
-        <p>Cores: ${document.getElementById("cpuCores").textContent}</p>
-        <div style="font-size: 14px; margin-top: 15px; color: #888;">
-            Quality: ${quality.toUpperCase()}<br>
-            Objects: ${settings.cubes} cubes, ${
-                settings.particles
-            } particles<br>
-            Lights: ${settings.lights} dynamic lights<br>
-            Duration: ${totalTime.toFixed(1)}s
-        </div>
+        <h2 style="color: #00ff88; margin-bottom: 15px;">${
+            shared
+                ? "SHARED RESULT"
+                : single
+                  ? "BENCHMARK COMPLETE"
+                  : "RESULT COMPARISON"
+        }</h2>
+        ${single ? resultHTML(results[0]) : comparisonHTML(results)}
         <div style="margin-top: 15px;">
-            <button onclick="location.reload()" style="
-                background: linear-gradient(45deg, #ff6b6b, #ffa500);
-                border: none;
-                padding: 10px 20px;
-                border-radius: 5px;
-                color: black;
-                font-weight: bold;
-                cursor: pointer;
-            ">Run Again</button>
+            ${
+                lastResult
+                    ? `<button class="resultButton" data-action="json">Export JSON</button>
+            <button class="resultButton" data-action="csv">Export CSV</button>
+            <button class="resultButton" data-action="share">Copy Link</button>`
+                    : ""
+            }
+            ${
+                shared
+                    ? `<button class="resultButton" data-action="run-shared">Run Same Benchmark</button>
+            <button class="resultButton" data-action="compare-latest">Compare with Latest Run</button>`
+                    : sharedResult && lastResult
+                      ? `<button class="resultButton" data-action="compare-shared">Compare with Shared</button>`
+                      : ""
+            }
+            <button class="resultButton" data-action="import">Import &amp; Compare</button>
+            <button class="resultButton" data-action="again">${
+                lastResult ? "Run Again" : "Close"
+            }</button>
         </div>
     `;
+    resultBox.classList.toggle("comparison", !single);
     resultBox.style.display = "block";
+    drawResultGraphs(resultBox, results);
+}
+
+function handleResultAction(action, button) {
+    if (action === "json") downloadResultJSON(lastResult);
+    else if (action === "csv") downloadFramesCSV(lastResult);
+    else if (action === "share") copyShareLink(button);
+    else if (action === "run-shared") runSharedSettings();
+    else if (action === "compare-latest") compareWithLatestRun();
+    else if (action === "compare-shared") {
+        showResults([lastResult, sharedResult]);
+    } else if (action === "import") importInput.click();
+    else if (action === "again") showMenu();
+}
+
+async function copyShareLink(button) {
+    try {
+        const link = await createShareLink(lastResult);
+        await navigator.clipboard.writeText(link);
+        button.textContent = "Link Copied";
+    } catch (e) {
+        console.error("Share link failed:", e);
+        alert(e.message);
+    }
+}
+
+// Load the shared run's settings into the menu; the result screen offers
+// the comparison once the run is done. Runs that can't be rebuilt from the
+// link (a loaded workload without its definition, unknown modes) are refused.
+function runSharedSettings() {
+    const { workload, modes, quality } = sharedResult;
+    try {
+        if (!modes) {
+            throw new Error("the link doesn't record the run modes");
+        }
+        if (
+            !workload?.definition &&
+            (quality === "custom" || !Object.hasOwn(qualitySettings, quality))
+        ) {
+            throw new Error(
+                `the link doesn't carry the "${workload?.name ?? quality}" workload`
+            );
+        }
+        applyRunOptions(
+            validateRunOptions({
+                quality: workload?.definition ? undefined : quality,
+                workload: workload?.definition ?? undefined,
+                sweep: modes.sweep,
+                maxLoad: modes.maxLoad ?? "off",
+                thermal: modes.thermal ?? "off",
+                soak: modes.soak,
+                backend: sharedResult.renderer.requested,
+                simulation: sharedResult.simulation,
+                objects: sharedResult.objects,
+                seed: sharedResult.seed,
+                duration: sharedResult.duration,
+                warmup: sharedResult.warmup,
+                resolution: sharedResult.resolution
+                    ? `${sharedResult.resolution.width}x${sharedResult.resolution.height}`
+                    : "window"
+            })
+        );
+    } catch (e) {
+        alert(`Shared run can't be repeated here: ${e.message}`);
+        return;
+    }
+    showMenu();
+}
+
+async function compareWithLatestRun() {
+    try {
+        const runs = await listRuns();
+        const latest = runs[runs.length - 1];
+        if (!latest) {
+            alert("No local runs yet");
+            return;
+        }
+        showResults([
+            sharedResult,
+            {
+                ...latest,
+                source: `Latest run (${new Date(latest.timestamp).toLocaleString()})`
+            }
+        ]);
+    } catch (e) {
+        console.error("Run history unavailable:", e);
+        alert(e.message);
+    }
+}
+
+async function openSharedResult() {
+    try {
+        const result = await readSharedResult();
+        if (!result) return;
+        sharedResult = result;
+        document.getElementById("ui").style.display = "none";
+        historyBox.style.display = "none";
+        presetEditor.hide();
+        showResults([sharedResult]);
+    } catch (e) {
+        console.error("Shared result failed:", e);
+        alert(e.message);
+    }
+}
+
+function showMenu() {
+    resultBox.style.display = "none";
+    document.getElementById("ui").style.display = "block";
+    historyBox.style.display = "block";
+    syncPresetEditor();
+}
+
+async function importResults(files) {
+    try {
+        const imported = await readResultFiles(files);
+        showResults(lastResult ? [lastResult, ...imported] : imported);
+    } catch (e) {
+        console.error("Result import failed:", e);
+        alert(e.message);
+    }
+}
+
+// Menu entry for a loaded workload, selected
+function selectWorkload(id, name) {
+    if (!qualitySelect.querySelector(`option[value="${id}"]`)) {
+        qualitySelect.add(new Option(`${name} (workload file)`, id));
+    }
+    qualitySelect.value = id;
+    applyWorkloadDuration();
+}
+
+// Workloads may bring their own run length
+function applyWorkloadDuration() {
+    if (durationPinned) return;
+    const duration = presetWorkload(qualitySelect.value)?.duration;
+    if (duration && duration !== benchmarkDuration) setDuration(duration);
+}
+
+async function loadWorkloadFile(file) {
+    try {
+        const workload = await readWorkloadFile(file);
+        selectWorkload(registerWorkload(workload), workload.name);
+        localStorage.setItem("benchmark3d.quality", qualitySelect.value);
+        syncPresetEditor();
+    } catch (e) {
+        console.error("Workload load failed:", e);
+        alert(e.message);
+    }
+}
+
+function setDuration(seconds, warmup = warmupDuration) {
+    benchmarkDuration = seconds;
+    warmupDuration = warmup;
+    updateDurationInfo();
+}
+
+function updateDurationInfo() {
+    if (thermalSelect.value !== "off") {
+        durationInfo.textContent = `Duration: ${thermalSelect.value} minutes (thermal test, ${THERMAL_INTERVAL}s intervals)`;
+        return;
+    }
+    const sweepCount =
+        sweepSelect.value === "on" ? createSweepStages().length : 0;
+    const total =
+        (benchmarkDuration / stages.length) * (stages.length + sweepCount);
+    durationInfo.textContent = `Duration: ${Math.round(total)} seconds (${
+        stages.length + sweepCount
+    } stages, ${warmupDuration}s warm-up each)`;
+}
+
+// Copy run options into the menu controls so the run and the UI agree
+function applyRunOptions(options) {
+    if (options.quality) {
+        qualitySelect.value = options.quality;
+        applyWorkloadDuration();
+    }
+    if (options.workload) {
+        selectWorkload(
+            registerWorkload(options.workload),
+            options.workload.name
+        );
+    }
+    if (options.backend) backendSelect.value = options.backend;
+    if (options.simulation) simulationSelect.value = options.simulation;
+    if (options.objects) objectsSelect.value = options.objects;
+    if (options.seed !== undefined) {
+        seedInput.value = normalizeSeed(options.seed);
+    }
+    if (options.soak !== undefined) soakInput.value = options.soak;
+    if (options.duration) durationPinned = true;
+    if (options.duration || options.warmup !== undefined) {
+        setDuration(
+            options.duration ?? benchmarkDuration,
+            options.warmup ?? warmupDuration
+        );
+    }
+    if (options.resolution) {
+        // Custom sizes get their own entry so the menu shows what runs
+        if (
+            !resolutionSelect.querySelector(
+                `option[value="${options.resolution}"]`
+            )
+        ) {
+            resolutionSelect.add(
+                new Option(options.resolution, options.resolution)
+            );
+        }
+        resolutionSelect.value = options.resolution;
+    }
+    if (options.maxLoad !== undefined) {
+        maxLoadSelect.value = options.maxLoad ? String(options.maxLoad) : "off";
+    }
+    if (options.thermal !== undefined) {
+        const value = options.thermal ? String(options.thermal) : "off";
+        if (!thermalSelect.querySelector(`option[value="${value}"]`)) {
+            thermalSelect.add(new Option(`${value} minutes`, value));
+        }
+        thermalSelect.value = value;
+        updateDurationInfo();
+    }
+    if (options.sweep !== undefined) {
+        sweepSelect.value = options.sweep ? "on" : "off";
+        updateDurationInfo();
+    }
+    if ("report" in options) reportEndpoint = options.report || null;
+}
+
+// window.benchmark3d.run: apply the options and resolve with the result.
+// It may be called before the page is set up and waits for that.
+async function runBenchmark(options = {}) {
+    await initialized;
+    if (running || starting) {
+        throw new Error("A benchmark is already running");
+    }
+    applyRunOptions(options);
+    resultBox.style.display = "none";
+    return new Promise((resolve, reject) => {
+        pendingRun = { resolve, reject };
+        startBenchmark().catch(failRun);
+    });
+}
+
+// Whatever state the run failed in, the caller of run() hears about it
+function failRun(e) {
+    console.error(e);
+    running = false;
+    currentRun = null;
+    soakRun = null;
+    try {
+        simulationPool?.dispose();
+        simulationPool = null;
+        disposePostChain();
+        stageInfo.style.display = "none";
+        showMenu();
+    } catch (cleanupError) {
+        console.error("Cleanup after a failed run failed:", cleanupError);
+    }
+    automation.emit("error", { message: e.message });
+    pendingRun?.reject(e);
+    pendingRun = null;
+}
+
+function syncPresetEditor() {
+    if (qualitySelect.value === "custom") presetEditor.show();
+    else presetEditor.hide();
+}
+
+function showHardwareProfile(profile) {
+    document.getElementById("cpuName").textContent = profile.cpu;
+    document.getElementById("gpuName").textContent = profile.gpu;
+    document.getElementById("cpuCores").textContent =
+        profile.cores ?? "Unknown";
+    const { screen } = profile;
+    document.getElementById("displayInfo").textContent = `${screen.width}x${
+        screen.height
+    } @ ${screen.devicePixelRatio}x, ${screen.refreshRate ?? "?"} Hz`;
 }
 
 function initBenchmark() {
+    hardwareProfilePromise = collectHardwareProfile(renderer)
+        .then(profile => {
+            hardwareProfile = profile;
+            showHardwareProfile(profile);
+        })
+        .catch(e => console.error("Hardware profile failed:", e));
+
+    thermalDurations.forEach(minutes =>
+        thermalSelect.add(
+            new Option(`${minutes} minutes sustained load`, String(minutes))
+        )
+    );
+
+    // Restore loaded workloads and the last used preset; URL parameters
+    // override it
+    loadStoredWorkloads().forEach(({ id, name }) =>
+        qualitySelect.add(new Option(`${name} (workload file)`, id))
+    );
+    const savedQuality = localStorage.getItem("benchmark3d.quality");
+    if (Object.hasOwn(qualitySettings, savedQuality)) {
+        qualitySelect.value = savedQuality;
+    }
+    applyWorkloadDuration();
+    seedInput.value = normalizeSeed(seedInput.value);
+    let urlRun = { options: {}, autostart: false };
+    try {
+        urlRun = readURLOptions();
+    } catch (e) {
+        console.error("Invalid URL parameters:", e);
+        automation.emit("error", { message: e.message });
+    }
+    applyRunOptions(urlRun.options);
+
+    // Show the editor for "custom"
+    presetEditor = createCustomPresetEditor();
+    syncPresetEditor();
+    historyPanel = createHistoryPanel(historyBox, { onView: showResults });
+
     // Event listeners
-    startBtn.addEventListener("click", startBenchmark);
+    startBtn.addEventListener("click", () => startBenchmark().catch(failRun));
+    document
+        .getElementById("importBtn")
+        .addEventListener("click", () => importInput.click());
+    document
+        .getElementById("workloadBtn")
+        .addEventListener("click", () => workloadInput.click());
+    workloadInput.addEventListener("change", () => {
+        if (workloadInput.files.length > 0) {
+            loadWorkloadFile(workloadInput.files[0]);
+        }
+        workloadInput.value = "";
+    });
+    importInput.addEventListener("change", () => {
+        if (importInput.files.length > 0) importResults(importInput.files);
+        importInput.value = "";
+    });
+    resultBox.addEventListener("click", e => {
+        const action = e.target.dataset?.action;
+        if (action) handleResultAction(action, e.target);
+    });
+    sweepSelect.addEventListener("change", updateDurationInfo);
+    // Max load and the thermal test are separate modes
+    thermalSelect.addEventListener("change", () => {
+        if (thermalSelect.value !== "off") maxLoadSelect.value = "off";
+        updateDurationInfo();
+    });
+    maxLoadSelect.addEventListener("change", () => {
+        if (maxLoadSelect.value !== "off") {
+            thermalSelect.value = "off";
+            updateDurationInfo();
+        }
+    });
+    qualitySelect.addEventListener("change", () => {
+        localStorage.setItem("benchmark3d.quality", qualitySelect.value);
+        applyWorkloadDuration();
+        syncPresetEditor();
+    });
 
     document.addEventListener("keydown", e => {
         if (e.key === "Escape" && running) {
+            if (soakRun) soakRun.aborted = true;
             finishBenchmark();
         }
     });
 
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) pauseRun();
+        else resumeRun();
+    });
+    window.addEventListener("blur", () => {
+        if (running) recordEvent("blur");
+    });
+
+    window.addEventListener("hashchange", () => {
+        if (!running) openSharedResult();
+    });
+
     window.addEventListener("resize", () => {
-        camera.aspect = window.innerWidth / window.innerHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(window.innerWidth, window.innerHeight);
-    });
-
-    // Enhanced performance monitoring
-    setInterval(() => {
-        if (running && performance.memory) {
-            console.log(
-                `Memory: ${(
-                    performance.memory.usedJSHeapSize /
-                    1024 /
-                    1024
-                ).toFixed(1)}MB | Renderer: ${
-                    webgpuSupported ? "WebGPU" : "WebGL"
-                }`
-            );
-        }
-    }, 5000);
+        if (!renderResolution) applyRenderSize();
+    });
 
     console.log(
-        `🎮 Benchmark initialized with ${
-            webgpuSupported ? "WebGPU" : "WebGL"
-        } renderer`
+        `🎮 Benchmark initialized with ${activeBackendName()} renderer`
     );
+
+    if (urlRun.autostart) {
+        runBenchmark().catch(e => console.error("Automated run failed:", e));
+    } else {
+        openSharedResult();
+    }
 }
 
 // Initialize the renderer and benchmark
-initRenderer().catch(console.error);
+initialized = initRenderer(backendSelect.value).then(initBenchmark);
+initialized.catch(console.error);
@@ -0,0 +1,150 @@
+// Maximum sustainable load: instead of measuring FPS at a fixed workload,
+// scale the preset's cubes, particles and lights until the median frame time
+// misses the target, then binary-search the threshold. Each probe is a short
+// stage built by the regular setupScene code.
+import { MAX_LIGHTS } from "./workload.js";
+
+// Measured seconds per probe (plus the usual warm-up)
+export const PROBE_DURATION = 2;
+
+const START_LOAD = 0.25;
+const MAX_LOAD = 64;
+const REFINE_STEPS = 5;
+// Medians within 5% of the target still pass, so a vsync-locked display that
+// holds its refresh rate isn't failed by jitter
+const TOLERANCE = 1.05;
+
+export const targetRates = [30, 60];
+
+// Preset settings scaled by load
+export function scaleSettings(settings, load) {
+    return {
+        ...settings,
+        cubes: Math.round(settings.cubes * load),
+        particles: Math.round(settings.particles * load),
+        lights: Math.min(Math.round(settings.lights * load), MAX_LIGHTS)
+    };
+}
+
+// Workload with every object group, emitter and light group scaled by load;
+// light groups are trimmed from the last one down to MAX_LIGHTS
+export function scaleWorkload(workload, load) {
+    if (load === 1) return workload;
+    const scale = group => ({
+        ...group,
+        count: Math.round(group.count * load)
+    });
+    const lights = workload.lights.map(scale);
+    let excess =
+        lights.reduce((sum, group) => sum + group.count, 0) - MAX_LIGHTS;
+    for (let i = lights.length - 1; i >= 0 && excess > 0; i--) {
+        const cut = Math.min(excess, lights[i].count);
+        lights[i].count -= cut;
+        excess -= cut;
+    }
+    return {
+        ...workload,
+        objects: workload.objects.map(scale),
+        particles: {
+            ...workload.particles,
+            emitters: workload.particles.emitters.map(scale)
+        },
+        lights
+    };
+}
+
+export function createProbeStage(load) {
+    return {
+        id: "maxLoad",
+        name: `Max Load ×${load.toFixed(3)}`,
+        parts: {
+            cubes: true,
+            particles: true,
+            lights: true,
+            explosions: true
+        },
+        load,
+        // Probes only steer the search and are not scored
+        throughput: () => 0,
+        weight: 0,
+        unit: "load"
+    };
+}
+
+// Doubles the load until a probe fails, then bisects between the last pass
+// and the first failure. record() returns the next load or null when done.
+export function createLoadSearch(targetFPS) {
+    const targetFrameTime = 1000 / targetFPS;
+    const probes = [];
+    let passed = 0;
+    let failed = null;
+    let refineSteps = 0;
+    let load = START_LOAD;
+
+    return {
+        get load() {
+            return load;
+        },
+
+        record(medianFrameTime) {
+            const pass = medianFrameTime <= targetFrameTime * TOLERANCE;
+            probes.push({
+                load,
+                medianFrameTime,
+                fps: medianFrameTime > 0 ? 1000 / medianFrameTime : 0,
+                pass
+            });
+            if (pass) passed = load;
+            else failed = load;
+
+            if (failed === null) {
+                load = load * 2;
+                return load <= MAX_LOAD ? load : null;
+            }
+            if (refineSteps === REFINE_STEPS) return null;
+            refineSteps++;
+            load = (passed + failed) / 2;
+            return load;
+        },
+
+        result(settings) {
+            return {
+                targetFPS,
+                load: passed,
+                capped: failed === null,
+                settings: scaleSettings(settings, passed),
+                probes
+            };
+        }
+    };
+}
+
+export function maxLoadHTML(maxLoad) {
+    if (!maxLoad) return "";
+    const { settings } = maxLoad;
+    return `
+        <div style="font-size: 24px; margin: 10px 0; color: #ffff00;">
+            Max load at ${maxLoad.targetFPS} FPS: ×${maxLoad.load.toFixed(3)}${
+                maxLoad.capped ? " (limit reached)" : ""
+            }
+        </div>
+        <div style="font-size: 14px;">
+            ${settings.cubes} cubes, ${settings.particles} particles, ${
+                settings.lights
+            } lights
+        </div>
+        <table class="stageTable">
+            <tr><th>Probe</th><th>Load</th><th>Median</th><th>FPS</th><th></th></tr>
+            ${maxLoad.probes
+                .map(
+                    (probe, index) => `<tr>
+                <td>${index + 1}</td>
+                <td>×${probe.load.toFixed(3)}</td>
+                <td>${probe.medianFrameTime.toFixed(2)} ms</td>
+                <td>${probe.fps.toFixed(1)}</td>
+                <td>${probe.pass ? "pass" : "fail"}</td>
+            </tr>`
+                )
+                .join("")}
+        </table>`;
+}
@@ -0,0 +1,153 @@
+// Post-processing stress chain on three's EffectComposer. The chain only runs
+// on WebGLRenderer; WebGPURenderer has its own node-based pipeline.
+//
+// Per-pass cost is measured without stalling the GPU: the stage is split into
+// segments that enable the passes cumulatively (none, first, first two, ...),
+// and each pass costs the difference between neighbouring median frame times.
+import * as THREE from "three";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { SSAOPass } from "three/addons/postprocessing/SSAOPass.js";
+import { BokehPass } from "three/addons/postprocessing/BokehPass.js";
+import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
+import { AfterimagePass } from "three/addons/postprocessing/AfterimagePass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+import { FXAAPass } from "three/addons/postprocessing/FXAAPass.js";
+import { SMAAPass } from "three/addons/postprocessing/SMAAPass.js";
+import { computeFrameStats } from "./frameStats.js";
+
+// Chain order; id doubles as the preset toggle. SSAO renders the scene
+// itself so it goes first, anti-aliasing runs on the tone-mapped output.
+export const postPasses = [
+    {
+        id: "ssao",
+        name: "SSAO",
+        create: ({ scene, camera, width, height }) =>
+            new SSAOPass(scene, camera, width, height)
+    },
+    {
+        id: "depthOfField",
+        name: "Depth of field",
+        create: ({ scene, camera }) =>
+            new BokehPass(scene, camera, {
+                focus: 80,
+                aperture: 0.002,
+                maxblur: 0.01
+            })
+    },
+    {
+        id: "bloom",
+        name: "Bloom",
+        // Threshold below 1 so the HDR particle and explosion colours glow
+        create: ({ width, height }) =>
+            new UnrealBloomPass(
+                new THREE.Vector2(width, height),
+                0.8,
+                0.4,
+                0.85
+            )
+    },
+    {
+        id: "motionBlur",
+        name: "Motion blur",
+        create: () => new AfterimagePass(0.85)
+    },
+    {
+        id: "fxaa",
+        name: "FXAA",
+        create: () => new FXAAPass(),
+        afterOutput: true
+    },
+    {
+        id: "smaa",
+        name: "SMAA",
+        create: () => new SMAAPass(),
+        afterOutput: true
+    }
+];
+
+// Returns null when the renderer can't run EffectComposer. timer (see
+// frameTiming.js) measures the GPU time of every pass separately.
+export function createPostProcessing(renderer, scene, camera, settings, timer) {
+    if (!renderer.isWebGLRenderer) return null;
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const composer = new EffectComposer(renderer);
+    composer.addPass(new RenderPass(scene, camera));
+
+    const context = { scene, camera, width: size.x, height: size.y };
+    const enabled = postPasses.filter(pass => settings[pass.id]);
+    const passes = enabled.map(pass => ({
+        ...pass,
+        pass: pass.create(context)
+    }));
+    passes
+        .filter(({ afterOutput }) => !afterOutput)
+        .forEach(({ pass }) => composer.addPass(pass));
+    composer.addPass(new OutputPass());
+    passes
+        .filter(({ afterOutput }) => afterOutput)
+        .forEach(({ pass }) => composer.addPass(pass));
+
+    if (timer) {
+        const labels = new Map(passes.map(({ id, pass }) => [pass, id]));
+        composer.passes.forEach(pass => {
+            const label =
+                labels.get(pass) ??
+                (pass instanceof RenderPass ? "scene" : "output");
+            const render = pass.render.bind(pass);
+            pass.render = (...args) =>
+                timer.measure(label, () => render(...args));
+        });
+    }
+
+    let activeCount = passes.length;
+
+    return {
+        passes: passes.map(({ id, name }) => ({ id, name })),
+
+        get activeCount() {
+            return activeCount;
+        },
+
+        // Enable the first count passes in chain order
+        setActiveCount(count) {
+            activeCount = count;
+            passes.forEach(({ pass }, index) => {
+                pass.enabled = index < count;
+            });
+        },
+
+        render(deltaSeconds) {
+            composer.render(deltaSeconds);
+        },
+
+        setSize(width, height, pixelRatio) {
+            composer.setPixelRatio(pixelRatio);
+            composer.setSize(width, height);
+        },
+
+        dispose() {
+            composer.passes.forEach(pass => pass.dispose?.());
+            composer.dispose();
+        }
+    };
+}
+
+// segmentFrames[n]: frame times rendered with the first n passes enabled
+export function summarizePassTimings(passes, segmentFrames) {
+    const medians = segmentFrames.map(times =>
+        times.length > 0 ? computeFrameStats(times).median : null
+    );
+    return {
+        baseline: medians[0],
+        passes: passes.map((pass, index) => ({
+            ...pass,
+            cost:
+                medians[index] !== null && medians[index + 1] !== null
+                    ? medians[index + 1] - medians[index]
+                    : null
+        })),
+        fullChain: computeFrameStats(segmentFrames[passes.length])
+    };
+}
@@ -0,0 +1,214 @@
+// Quality presets and the dat.gui editor for the custom one. The built-in
+// presets are workload files (workloads/*.json, format in workload.js);
+// workloads loaded by the user join them under a "file:" id.
+import { GUI } from "dat.gui";
+import { postPasses } from "./postProcessing.js";
+import {
+    validateWorkload,
+    workloadSettings,
+    applySettings
+} from "./workload.js";
+import low from "./workloads/low.json";
+import medium from "./workloads/medium.json";
+import high from "./workloads/high.json";
+import ultra from "./workloads/ultra.json";
+import insane from "./workloads/insane.json";
+
+const CUSTOM_STORAGE_KEY = "benchmark3d.customPreset";
+const WORKLOAD_STORAGE_KEY = "benchmark3d.workloads";
+
+export const workloads = Object.fromEntries(
+    Object.entries({ low, medium, high, ultra, insane }).map(([id, data]) => [
+        id,
+        validateWorkload(data, `workloads/${id}.json`)
+    ])
+);
+
+// Summary settings of every preset: object, particle and light totals,
+// complexity (geometry detail) and the shadow, effect and post-processing
+// toggles (bloom to smaa, see postProcessing.js)
+export const qualitySettings = {
+    ...Object.fromEntries(
+        Object.entries(workloads).map(([id, workload]) => [
+            id,
+            workloadSettings(workload)
+        ])
+    ),
+    custom: loadCustomPreset()
+};
+
+// Workload of a preset. The custom preset reshapes the standard scene; its
+// extra torus and dodecahedron shapes join from complexity 6 upwards, as
+// they do in the insane workload.
+export function presetWorkload(quality) {
+    if (quality !== "custom") return workloads[quality];
+    const custom = qualitySettings.custom;
+    return {
+        ...applySettings(
+            custom.complexity >= 6 ? workloads.insane : workloads.high,
+            custom
+        ),
+        name: "Custom"
+    };
+}
+
+function workloadId(workload) {
+    const slug = workload.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+    return `file:${slug || "workload"}`;
+}
+
+// Adds a validated workload as a preset and returns its id; it is stored so
+// it is still there after a reload. Loading the same workload again reuses
+// its id, a different one under a taken name is rejected.
+export function registerWorkload(workload) {
+    const id = workloadId(workload);
+    if (
+        workloads[id] &&
+        JSON.stringify(workloads[id]) !== JSON.stringify(workload)
+    ) {
+        throw new Error(
+            `A different workload named "${workloads[id].name}" is already loaded; give "${workload.name}" another name`
+        );
+    }
+    workloads[id] = workload;
+    qualitySettings[id] = workloadSettings(workload);
+    try {
+        const stored = JSON.parse(
+            localStorage.getItem(WORKLOAD_STORAGE_KEY) || "{}"
+        );
+        stored[id] = workload;
+        localStorage.setItem(WORKLOAD_STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+        console.warn("Could not store workload:", e);
+    }
+    return id;
+}
+
+// User workloads from earlier sessions, as { id, name }
+export function loadStoredWorkloads() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(WORKLOAD_STORAGE_KEY) || "{}");
+    } catch (e) {
+        console.warn("Could not load stored workloads:", e);
+    }
+    return Object.entries(stored).flatMap(([id, data]) => {
+        try {
+            const workload = validateWorkload(data, id);
+            workloads[id] = workload;
+            qualitySettings[id] = workloadSettings(workload);
+            return [{ id, name: workload.name }];
+        } catch (e) {
+            console.warn("Skipping stored workload:", e);
+            return [];
+        }
+    });
+}
+
+// Parse and validate a workload file picked by the user
+export async function readWorkloadFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error(`${file.name}: not valid JSON (${e.message})`);
+    }
+    return validateWorkload(data, file.name);
+}
+
+const presetLimits = {
+    cubes: [0, 10000, 50],
+    particles: [0, 200000, 1000],
+    lights: [0, 64, 1],
+    complexity: [1, 8, 1]
+};
+
+function loadCustomPreset() {
+    const preset = { ...defaultCustomPreset() };
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY));
+        if (saved) {
+            Object.keys(preset).forEach(key => {
+                if (typeof saved[key] === typeof preset[key]) {
+                    preset[key] = saved[key];
+                }
+            });
+        }
+    } catch (e) {
+        console.warn("Could not load custom preset:", e);
+    }
+    return preset;
+}
+
+function defaultCustomPreset() {
+    return {
+        cubes: 1500,
+        particles: 15000,
+        lights: 15,
+        complexity: 4,
+        shadows: true,
+        effects: true,
+        bloom: true,
+        ssao: true,
+        depthOfField: false,
+        motionBlur: false,
+        fxaa: true,
+        smaa: false
+    };
+}
+
+function saveCustomPreset() {
+    try {
+        localStorage.setItem(
+            CUSTOM_STORAGE_KEY,
+            JSON.stringify(qualitySettings.custom)
+        );
+    } catch (e) {
+        console.warn("Could not save custom preset:", e);
+    }
+}
+
+// dat.gui panel bound to qualitySettings.custom; every change is persisted
+export function createCustomPresetEditor() {
+    const gui = new GUI({ autoPlace: true, width: 280 });
+    gui.domElement.parentElement.style.zIndex = 150;
+    const preset = qualitySettings.custom;
+
+    Object.entries(presetLimits).forEach(([key, [min, max, step]]) => {
+        gui.add(preset, key, min, max, step).onFinishChange(saveCustomPreset);
+    });
+    gui.add(preset, "shadows").onFinishChange(saveCustomPreset);
+    gui.add(preset, "effects").onFinishChange(saveCustomPreset);
+
+    const passes = gui.addFolder("Post-processing");
+    postPasses.forEach(({ id, name }) => {
+        passes.add(preset, id).name(name).onFinishChange(saveCustomPreset);
+    });
+
+    const actions = {
+        "Copy from": "insane",
+        Reset() {
+            Object.assign(preset, defaultCustomPreset());
+            gui.updateDisplay();
+            saveCustomPreset();
+        }
+    };
+    gui.add(actions, "Copy from", [
+        "low",
+        "medium",
+        "high",
+        "ultra",
+        "insane"
+    ]).onChange(name => {
+        Object.assign(preset, qualitySettings[name]);
+        gui.updateDisplay();
+        saveCustomPreset();
+    });
+    gui.add(actions, "Reset");
+
+    gui.hide();
+    return gui;
+}
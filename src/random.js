@@ -0,0 +1,30 @@
+// Deterministic PRNG so every run with the same seed builds the same workload
+
+export const DEFAULT_SEED = 1337;
+
+// Turn a user supplied seed (number or any string) into an unsigned 32-bit int
+export function normalizeSeed(value) {
+    const text = String(value ?? "").trim();
+    if (text === "") return DEFAULT_SEED;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    // FNV-1a hash for text seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for scene generation
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,121 @@
+// Per-frame renderer workload counters from renderer.info plus the JS heap,
+// summarised as min/avg/max so two runs can be checked for equal work
+
+export const rendererMetrics = [
+    { id: "drawCalls", label: "Draw calls" },
+    { id: "triangles", label: "Triangles" },
+    { id: "points", label: "Points" },
+    { id: "programs", label: "Programs" },
+    { id: "geometries", label: "Geometries" },
+    { id: "textures", label: "Textures" },
+    { id: "heapMB", label: "JS heap (MB)" }
+];
+
+// Counters for the frame just rendered; metrics the browser or backend does
+// not expose are null
+export function sampleRendererInfo(renderer) {
+    const { info } = renderer;
+    return {
+        drawCalls: info.render.drawCalls ?? info.render.calls,
+        triangles: info.render.triangles,
+        points: info.render.points,
+        programs: countPrograms(renderer),
+        geometries: info.memory.geometries,
+        textures: info.memory.textures,
+        heapMB: performance.memory
+            ? performance.memory.usedJSHeapSize / 1024 / 1024
+            : null
+    };
+}
+
+// WebGLRenderer lists its programs in info; WebGPURenderer keeps compiled
+// shader stages in its (internal) pipeline cache
+function countPrograms(renderer) {
+    if (renderer.info.programs) return renderer.info.programs.length;
+    const programs = renderer._pipelines?.programs;
+    return programs ? programs.vertex.size + programs.fragment.size : null;
+}
+
+export function createStatsAccumulator() {
+    const totals = {};
+
+    return {
+        add(sample) {
+            for (const { id } of rendererMetrics) {
+                const value = sample[id];
+                if (value === null || value === undefined) continue;
+                const total = (totals[id] ??= {
+                    min: Infinity,
+                    max: -Infinity,
+                    sum: 0,
+                    count: 0
+                });
+                total.min = Math.min(total.min, value);
+                total.max = Math.max(total.max, value);
+                total.sum += value;
+                total.count++;
+            }
+        },
+
+        // { metric: { min, avg, max } } for every metric that was sampled
+        summary() {
+            return Object.fromEntries(
+                Object.entries(totals).map(([id, total]) => [
+                    id,
+                    {
+                        min: total.min,
+                        avg: total.sum / total.count,
+                        max: total.max
+                    }
+                ])
+            );
+        }
+    };
+}
+
+function formatMetric(value) {
+    if (value === null || value === undefined) return "–";
+    return value >= 1e6
+        ? `${(value / 1e6).toFixed(2)}M`
+        : value >= 1e4
+          ? `${(value / 1e3).toFixed(1)}k`
+          : `${Math.round(value)}`;
+}
+
+// Live counters shown next to the stats.js panel
+export function createRendererHUD(container) {
+    const element = document.createElement("div");
+    element.className = "rendererHUD";
+    container.appendChild(element);
+
+    return {
+        update(sample) {
+            element.innerHTML = rendererMetrics
+                .map(
+                    ({ id, label }) =>
+                        `<div>${label}<span>${formatMetric(sample[id])}</span></div>`
+                )
+                .join("");
+        }
+    };
+}
+
+// min/avg/max table for a result; older results have no renderer stats
+export function rendererStatsHTML(summary) {
+    if (!summary) return "";
+    return `
+        <table class="stageTable">
+            <tr><th>Renderer</th><th>Min</th><th>Avg</th><th>Max</th></tr>
+            ${rendererMetrics
+                .filter(({ id }) => summary[id])
+                .map(
+                    ({ id, label }) => `<tr>
+                <td>${label}</td>
+                <td>${formatMetric(summary[id].min)}</td>
+                <td>${formatMetric(summary[id].avg)}</td>
+                <td>${formatMetric(summary[id].max)}</td>
+            </tr>`
+                )
+                .join("")}
+        </table>`;
+}
@@ -0,0 +1,566 @@
+// Structured benchmark results: rendering, JSON/CSV export and import
+import { drawFrameTimeGraph } from "./frameStats.js";
+import { rendererStatsHTML } from "./rendererStats.js";
+import { soakHTML } from "./soak.js";
+import { drawSweepGraph } from "./sweep.js";
+import { maxLoadHTML } from "./maxLoad.js";
+import { thermalHTML, drawThermalGraph } from "./thermal.js";
+import { validityHTML } from "./validity.js";
+import { timingHTML } from "./frameTiming.js";
+import { escapeHTML } from "./html.js";
+import { validateWorkload } from "./workload.js";
+
+export const RESULT_FORMAT = "benchmark3d-result";
+export const RESULT_FORMAT_VERSION = 1;
+
+function frameStatsHTML(stats) {
+    return `
+        <div class="frameStats">
+            <span>Median: ${stats.median.toFixed(2)} ms</span>
+            <span>P95: ${stats.p95.toFixed(2)} ms</span>
+            <span>P99: ${stats.p99.toFixed(2)} ms</span>
+            <span>1% Low: ${stats.low1.toFixed(1)} FPS</span>
+            <span>0.1% Low: ${stats.low01.toFixed(1)} FPS</span>
+            <span>Max: ${stats.max.toFixed(2)} ms</span>
+            <span>Std Dev: ${stats.stdDev.toFixed(2)} ms</span>
+            <span>Stutters: ${stats.stutters}</span>
+        </div>`;
+}
+
+function formatThroughput(value, unit) {
+    if (value === undefined) return "–";
+    const [scaled, suffix] =
+        value >= 1e9
+            ? [value / 1e9, "G"]
+            : value >= 1e6
+              ? [value / 1e6, "M"]
+              : value >= 1e3
+                ? [value / 1e3, "k"]
+                : [value, ""];
+    return `${scaled.toFixed(1)}${suffix} ${escapeHTML(unit)}`;
+}
+
+function formatMs(value, digits = 0) {
+    return value === null || value === undefined
+        ? "–"
+        : `${value.toFixed(digits)} ms`;
+}
+
+function stageTableHTML(stages) {
+    return `
+        <table class="stageTable">
+            <tr><th>Stage</th><th>Avg FPS</th><th>P99</th><th>Throughput</th><th>Build</th><th>Compile</th><th>Bound</th><th>Score</th></tr>
+            ${stages
+                .map(
+                    stage => `<tr>
+                <td>${escapeHTML(stage.name)}</td>
+                <td>${stage.avgFPS.toFixed(1)}</td>
+                <td>${stage.frameStats.p99.toFixed(2)} ms</td>
+                <td>${formatThroughput(stage.throughput, stage.unit)}</td>
+                <td>${formatMs(stage.setup?.sceneBuild)}</td>
+                <td>${formatMs(stage.setup?.shaderCompile)}</td>
+                <td>${escapeHTML(stage.timing?.verdict ?? "–")}</td>
+                <td>${Math.round(stage.score)}</td>
+            </tr>`
+                )
+                .join("")}
+        </table>`;
+}
+
+// Incremental frame-time cost of every post-processing pass
+function postProcessingHTML(stages) {
+    const post = stages.find(stage => stage.postProcessing)?.postProcessing;
+    if (!post) return "";
+    if (post.supported === false) {
+        return `<p style="font-size: 14px;">Post-processing: skipped (needs the WebGL renderer)</p>`;
+    }
+    return `
+        <table class="stageTable">
+            <tr><th>Post pass</th><th>Cost</th></tr>
+            <tr><td>Scene only</td><td>${formatMs(post.baseline, 2)}</td></tr>
+            ${post.passes
+                .map(
+                    pass =>
+                        `<tr><td>+ ${escapeHTML(pass.name)}</td><td>${formatMs(pass.cost, 2)}</td></tr>`
+                )
+                .join("")}
+            <tr><td>Full chain</td><td>${formatMs(post.fullChain.median, 2)}</td></tr>
+        </table>`;
+}
+
+function sweepHTML(sweep, index) {
+    if (!sweep) return "";
+    return `
+        <div style="font-size: 14px; margin: 10px 0;">
+            Resolution sweep: ${
+                sweep.bound
+                    ? `${escapeHTML(sweep.bound)} (frame time ∝ pixels^${sweep.exponent.toFixed(2)})`
+                    : "not enough points"
+            }
+        </div>
+        <canvas class="sweepGraph" data-result="${index}" width="480" height="160"></canvas>`;
+}
+
+// Markup for one result; the frame graph is drawn afterwards by drawResultGraphs
+export function resultHTML(result, index = 0) {
+    const { settings, summary, renderer, hardware } = result;
+    return `
+        ${
+            result.maxLoad
+                ? maxLoadHTML(result.maxLoad)
+                : result.thermal
+                  ? thermalHTML(result.thermal, index)
+                  : `<div style="font-size: 32px; margin: 10px 0; color: #ffff00;">
+            Score: ${result.score.value}
+            <span style="font-size: 12px; color: #888;">(model v${result.score.version})</span>
+        </div>`
+        }
+        ${validityHTML(result.validity)}
+        <div style="font-size: 20px; margin: 10px 0; color: #ffff00;">
+            Average FPS: ${summary.avgFPS.toFixed(1)}
+        </div>
+        ${frameStatsHTML(summary.frameStats)}
+        <canvas class="frameGraph" data-result="${index}" width="480" height="120"></canvas>
+        ${
+            result.frameTimeBucket > 1
+                ? `<div style="font-size: 12px; color: #888;">Shared summary: graph averages every ${result.frameTimeBucket} frames</div>`
+                : ""
+        }
+        ${stageTableHTML(result.stages)}
+        ${timingHTML(result.timing)}
+        ${sweepHTML(result.sweep, index)}
+        ${postProcessingHTML(result.stages)}
+        ${rendererStatsHTML(result.rendererStats)}
+        ${soakHTML(result.soak)}
+        ${
+            result.setup
+                ? `<p style="font-size: 14px;">Setup: scene build ${formatMs(
+                      result.setup.sceneBuild
+                  )}, shader compile ${formatMs(
+                      result.setup.shaderCompile
+                  )} (not scored; ${result.warmup}s warm-up per stage excluded)</p>`
+                : ""
+        }
+        <div style="font-size: 16px; margin: 10px 0; color: ${
+            renderer.backends.WebGPU ? "#00ff88" : "#ff8800"
+        };">
+            Renderer: ${Object.entries(renderer.backends)
+                .map(
+                    ([name, frames]) => `${escapeHTML(name)} (${frames} frames)`
+                )
+                .join(", ")}
+        </div>
+        <p>CPU: ${escapeHTML(hardware.cpu)}</p>
+        <p>GPU: ${escapeHTML(hardware.gpu)}</p>
+        <p>Cores: ${hardware.cores}${
+            hardware.deviceMemory ? `, ${hardware.deviceMemory} GB memory` : ""
+        }</p>
+        ${
+            hardware.screen
+                ? `<p>Display: ${hardware.screen.width}x${hardware.screen.height} @ ${hardware.screen.devicePixelRatio}x, ${hardware.screen.refreshRate ?? "?"} Hz</p>
+        <p style="font-size: 12px; color: #888;">Profile: ${escapeHTML(hardware.key)}</p>`
+                : ""
+        }
+        ${
+            result.cpu?.scaling
+                ? `<p>CPU scaling: ${result.cpu.scaling.toFixed(2)}× on ${result.cpu.threads} threads (${result.cpu.sharedMemory ? "SharedArrayBuffer" : "transferred buffers"})</p>`
+                : ""
+        }
+        <div style="font-size: 14px; margin-top: 15px; color: #888;">
+            Quality: ${escapeHTML(result.quality.toUpperCase())}<br>
+            ${result.workload ? `Workload: ${escapeHTML(result.workload.name)}<br>` : ""}
+            Seed: ${result.seed}<br>
+            Particle simulation: ${escapeHTML(
+                (result.simulation ?? "cpu").toUpperCase()
+            )}<br>
+            Object rendering: ${escapeHTML(result.objects ?? "meshes")}<br>
+            Objects: ${settings.cubes} cubes, ${
+                settings.particles
+            } particles<br>
+            Lights: ${settings.lights} dynamic lights<br>
+            Detail: complexity ${settings.complexity}, shadows ${
+                settings.shadows ? "on" : "off"
+            }, effects ${settings.effects ? "on" : "off"}<br>
+            Duration: ${summary.duration.toFixed(1)}s<br>
+            ${
+                result.resolution
+                    ? `Resolution: ${result.resolution.width}x${result.resolution.height} (fixed)<br>`
+                    : ""
+            }
+            Recorded: ${new Date(result.timestamp).toLocaleString()}
+        </div>`;
+}
+
+// Several results next to each other, e.g. after importing archived runs
+export function comparisonHTML(results) {
+    return `
+        <div class="resultColumns">
+            ${results
+                .map(
+                    (result, index) => `
+                <div class="resultColumn">
+                    <h3>${escapeHTML(result.source || `Run ${index + 1}`)}</h3>
+                    ${resultHTML(result, index)}
+                </div>`
+                )
+                .join("")}
+        </div>`;
+}
+
+export function drawResultGraphs(container, results) {
+    container.querySelectorAll("canvas.frameGraph").forEach(canvas => {
+        const result = results[Number(canvas.dataset.result)];
+        if (!result) return;
+        drawFrameTimeGraph(
+            canvas,
+            result.frameTimes,
+            result.summary.frameStats,
+            result.stages.map(stage => stage.firstFrame)
+        );
+    });
+    container.querySelectorAll("canvas.sweepGraph").forEach(canvas => {
+        const sweep = results[Number(canvas.dataset.result)]?.sweep;
+        if (sweep?.points.length) drawSweepGraph(canvas, sweep);
+    });
+    container.querySelectorAll("canvas.thermalGraph").forEach(canvas => {
+        const thermal = results[Number(canvas.dataset.result)]?.thermal;
+        if (thermal?.intervals.length) drawThermalGraph(canvas, thermal);
+    });
+}
+
+function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function fileStem(result) {
+    const time = result.timestamp.replace(/[:.]/g, "-");
+    return `benchmark3d-${result.quality}-${result.seed}-${time}`;
+}
+
+export function downloadResultJSON(result) {
+    download(
+        `${fileStem(result)}.json`,
+        "application/json",
+        JSON.stringify(result, null, 2)
+    );
+}
+
+// One row per frame: index, stage, elapsed time and frame duration
+export function downloadFramesCSV(result) {
+    const rows = ["frame,stage,elapsed_ms,frame_ms"];
+    let elapsed = 0;
+    let stage = 0;
+    result.frameTimes.forEach((ms, frame) => {
+        while (
+            stage + 1 < result.stages.length &&
+            frame >= result.stages[stage + 1].firstFrame
+        ) {
+            stage++;
+        }
+        elapsed += ms;
+        rows.push(
+            `${frame},${result.stages[stage]?.id ?? ""},${elapsed.toFixed(
+                3
+            )},${ms.toFixed(3)}`
+        );
+    });
+    download(`${fileStem(result)}-frames.csv`, "text/csv", rows.join("\n"));
+}
+
+// Shapes of the fields the result view reads. A field holds a type name, a
+// nested shape, [shape] for a list or a function that checks the value
+// itself; a key ending in "?" may be missing or null.
+const nullable = shape => (value, path) =>
+    value === null || checkShape(value, shape, path);
+
+const oneOf =
+    (...choices) =>
+    (value, path) => {
+        if (!choices.includes(value)) {
+            throw new Error(`${path} must be one of ${choices.join(", ")}`);
+        }
+    };
+
+const mapOf = shape => (value, path) => {
+    checkShape(value, {}, path);
+    Object.entries(value).forEach(([key, item]) =>
+        checkShape(item, shape, `${path}.${key}`)
+    );
+};
+
+const frameStatsShape = {
+    median: "number",
+    p95: "number",
+    p99: "number",
+    low1: "number",
+    low01: "number",
+    max: "number",
+    stdDev: "number",
+    stutters: "number"
+};
+
+const timingShape = {
+    verdict: "string",
+    "cpuSimulation?": "number",
+    "cpuSubmit?": "number",
+    "gpu?": "number",
+    "api?": "string"
+};
+
+const setupShape = { "sceneBuild?": "number", "shaderCompile?": "number" };
+
+const rendererStatsShape = mapOf({
+    "min?": "number",
+    "avg?": "number",
+    "max?": "number"
+});
+
+// Skipped post-processing stages only carry supported: false
+const postProcessingShape = (value, path) =>
+    checkShape(
+        value,
+        value?.supported === false
+            ? { supported: "boolean" }
+            : {
+                  "baseline?": "number",
+                  passes: [{ name: "string", "cost?": "number" }],
+                  fullChain: { median: "number" }
+              },
+        path
+    );
+
+const stageShape = {
+    name: "string",
+    frames: "number",
+    firstFrame: "number",
+    avgFPS: "number",
+    frameStats: frameStatsShape,
+    "throughput?": "number",
+    unit: "string",
+    "setup?": setupShape,
+    "timing?": timingShape,
+    "postProcessing?": postProcessingShape,
+    score: "number"
+};
+
+const thermalIntervalShape = {
+    start: "number",
+    duration: "number",
+    avgFPS: "number",
+    low1: "number"
+};
+
+// A thermal run without a complete interval only has the empty list
+const thermalShape = (value, path) =>
+    checkShape(
+        value,
+        value?.intervals?.length
+            ? {
+                  interval: "number",
+                  intervals: [thermalIntervalShape],
+                  drop: "number",
+                  "timeToThrottle?": "number",
+                  stability: "number"
+              }
+            : { intervals: [] },
+        path
+    );
+
+// The slope is only there once the sweep has enough points for a verdict
+const sweepShape = (value, path) =>
+    checkShape(
+        value,
+        {
+            points: [{ megapixels: "number", fps: "number" }],
+            ...(value?.bound !== undefined && {
+                bound: "string",
+                exponent: "number"
+            })
+        },
+        path
+    );
+
+const soakShape = {
+    iterations: "number",
+    scores: [nullable("number")],
+    snapshots: [
+        {
+            "geometries?": "number",
+            "textures?": "number",
+            "programs?": "number",
+            "sceneObjects?": "number",
+            "heapMB?": "number"
+        }
+    ],
+    leaks: [{ label: "string", "from?": "number", "to?": "number" }]
+};
+
+const resultShape = {
+    formatVersion: "number",
+    timestamp: "string",
+    seed: "number",
+    "duration?": "number",
+    "warmup?": "number",
+    "resolution?": { width: "number", height: "number" },
+    quality: "string",
+    "workload?": {
+        name: "string",
+        "definition?": (value, path) => validateWorkload(value, path)
+    },
+    settings: {
+        cubes: "number",
+        particles: "number",
+        lights: "number",
+        complexity: "number",
+        shadows: "boolean",
+        effects: "boolean"
+    },
+    "simulation?": "string",
+    "objects?": "string",
+    "modes?": {
+        sweep: "boolean",
+        "maxLoad?": "number",
+        "thermal?": "number",
+        soak: "number"
+    },
+    renderer: { "requested?": "string", backends: mapOf("number") },
+    hardware: {
+        cpu: "string",
+        gpu: "string",
+        "cores?": "number",
+        "deviceMemory?": "number",
+        "screen?": {
+            width: "number",
+            height: "number",
+            devicePixelRatio: "number",
+            "refreshRate?": "number"
+        },
+        "key?": "string"
+    },
+    score: { version: "number", "value?": "number" },
+    "maxLoad?": {
+        targetFPS: "number",
+        load: "number",
+        capped: "boolean",
+        settings: { cubes: "number", particles: "number", lights: "number" },
+        probes: [
+            {
+                load: "number",
+                medianFrameTime: "number",
+                fps: "number",
+                pass: "boolean"
+            }
+        ]
+    },
+    "thermal?": thermalShape,
+    "validity?": {
+        status: oneOf("valid", "warning", "invalid"),
+        reasons: [{ message: "string" }]
+    },
+    "rendererStats?": rendererStatsShape,
+    "timing?": timingShape,
+    "setup?": setupShape,
+    "cpu?": {
+        "threads?": "number",
+        "sharedMemory?": "boolean",
+        "scaling?": "number"
+    },
+    summary: {
+        duration: "number",
+        avgFPS: "number",
+        frameStats: frameStatsShape
+    },
+    "sweep?": sweepShape,
+    "soak?": soakShape,
+    stages: [stageShape],
+    frameTimes: ["number"],
+    "frameTimeBucket?": "number"
+};
+
+function checkShape(value, shape, path) {
+    if (typeof shape === "function") {
+        shape(value, path);
+    } else if (typeof shape === "string") {
+        if (
+            typeof value !== shape ||
+            (shape === "number" && !Number.isFinite(value))
+        ) {
+            throw new Error(`${path} must be a ${shape}`);
+        }
+    } else if (Array.isArray(shape)) {
+        if (!Array.isArray(value)) throw new Error(`${path} must be a list`);
+        if (shape.length > 0) {
+            value.forEach((item, index) =>
+                checkShape(item, shape[0], `${path}[${index}]`)
+            );
+        }
+    } else {
+        if (
+            typeof value !== "object" ||
+            value === null ||
+            Array.isArray(value)
+        ) {
+            throw new Error(`${path} must be an object`);
+        }
+        Object.entries(shape).forEach(([key, fieldShape]) => {
+            const optional = key.endsWith("?");
+            const name = optional ? key.slice(0, -1) : key;
+            if (
+                optional &&
+                (value[name] === undefined || value[name] === null)
+            ) {
+                return;
+            }
+            checkShape(
+                value[name],
+                fieldShape,
+                path ? `${path}.${name}` : name
+            );
+        });
+    }
+}
+
+// A result from outside the page (an imported file, a shared link) is only
+// shown once it has the shape of a real one; throws naming the bad field
+export function validateResult(result, source) {
+    if (result?.format !== RESULT_FORMAT) {
+        throw new Error(`${source}: not a benchmark3d result`);
+    }
+    if (result.formatVersion > RESULT_FORMAT_VERSION) {
+        throw new Error(
+            `${source}: result format v${result.formatVersion} is newer than this viewer (v${RESULT_FORMAT_VERSION})`
+        );
+    }
+    try {
+        checkShape(result, resultShape, "");
+    } catch (e) {
+        throw new Error(`${source}: ${e.message}`);
+    }
+    return result;
+}
+
+function parseResult(text, filename) {
+    let result;
+    try {
+        result = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${filename}: not valid JSON`);
+    }
+    validateResult(result, filename);
+    result.source = filename;
+    return result;
+}
+
+// Read result JSON files picked by the user; rejects with the first bad file
+export async function readResultFiles(files) {
+    return Promise.all(
+        Array.from(files).map(async file =>
+            parseResult(await file.text(), file.name)
+        )
+    );
+}
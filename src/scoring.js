@@ -0,0 +1,87 @@
+// Composite benchmark score
+//
+// Scoring model v5. v4 split the run over eight stages instead of nine, so
+// every stage measured a longer slice; v3 also measured from the first frame
+// of every stage, including shader compilation and warm-up; v2 also ran the
+// animation once per rendered frame, so faster machines simulated a busier
+// scene; v1 also had no worker stages and weighed geometry and lighting 0.3
+// and the single-thread simulation 0.15.
+//
+// 1. Effective frame rate per stage blends typical and worst-case frames so
+//    stutter costs points:
+//        effectiveFPS = 1000 / (0.75 × median + 0.25 × p99)   (frame times in ms)
+// 2. Throughput per stage is the work done per second, scaled by the number
+//    of pixels rendered relative to 1080p. The exponent says how strongly a
+//    stage depends on fill-rate (1 = fully, 0 = not at all):
+//        throughput = workload × effectiveFPS × (pixels / 1920×1080) ^ pixelExponent
+//    The CPU simulation and worker stages report their own throughput
+//    (particles integrated per second of simulation time) and are resolution
+//    independent.
+// 3. Stage score = 1000 × throughput / reference throughput, so the
+//    reference machine scores about 1000 on every stage.
+// 4. Composite score = weighted geometric mean of the stage scores, using
+//    each stage's weight (renormalized over the stages that actually ran).
+//
+// Any change to these steps or constants must bump SCORE_VERSION so results
+// from different models are never compared by accident.
+
+export const SCORE_VERSION = 5;
+
+const REFERENCE_PIXELS = 1920 * 1080;
+
+// Throughput of the reference machine (mid-range desktop GPU, insane preset)
+const referenceThroughput = {
+    geometry: 180000,
+    geometryInstanced: 180000,
+    particles: 1800000,
+    lighting: 6300000,
+    simulation: 20000000,
+    cpuThreadsSingle: 20000000,
+    cpuThreads: 80000000,
+    gpuSimulation: 1800000,
+    postProcessing: 600000000,
+    sweep: 60
+};
+
+export function effectiveFPS(frameStats) {
+    const frameTime = 0.75 * frameStats.median + 0.25 * frameStats.p99;
+    return frameTime > 0 ? 1000 / frameTime : 0;
+}
+
+// measurement: { settings, frameStats, pixels, simulatedParticles,
+// simulationTime, postProcessing }
+export function computeStageThroughput(stage, measurement) {
+    if (stage.throughput) return stage.throughput(measurement);
+
+    const pixelScale =
+        (measurement.pixels / REFERENCE_PIXELS) ** stage.pixelExponent;
+    return (
+        stage.workload(measurement) *
+        effectiveFPS(measurement.frameStats) *
+        pixelScale
+    );
+}
+
+// Stages generated in groups (the resolution sweep) share one reference;
+// stages without one (max load probes) are not scored
+export function computeStageScore(stage, throughput) {
+    const reference = referenceThroughput[stage.scoreId ?? stage.id];
+    return reference ? (1000 * throughput) / reference : 0;
+}
+
+// stageResults: [{ id, score, weight }]
+export function computeCompositeScore(stageResults) {
+    const scored = stageResults.filter(stage => stage.weight > 0);
+    const totalWeight = scored.reduce((sum, stage) => sum + stage.weight, 0);
+    if (totalWeight === 0) return { version: SCORE_VERSION, value: 0 };
+
+    // Clamp at 1 so a stalled stage can't zero the geometric mean
+    const logSum = scored.reduce(
+        (sum, stage) => sum + stage.weight * Math.log(Math.max(stage.score, 1)),
+        0
+    );
+    return {
+        version: SCORE_VERSION,
+        value: Math.round(Math.exp(logSum / totalWeight))
+    };
+}
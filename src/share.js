@@ -0,0 +1,188 @@
+// Shareable result links: a summary of a result packed into the URL hash, so
+// a run can be pasted into chat and opened without a server. The hash holds
+// "<version>.<crc32>.<payload>", the payload being deflated JSON in base64url.
+// Frame times are averaged down to a short curve; per-frame data, renderer
+// counters and long hardware lists stay in the JSON export. The workload
+// definition and run modes go along so the run can be repeated.
+import { validateResult } from "./results.js";
+
+export const SHARE_VERSION = 1;
+const HASH_PREFIX = "#result=";
+const CURVE_POINTS = 240;
+
+// Frame times averaged into at most `points` buckets of `bucket` frames
+function downsample(frameTimes, points) {
+    const bucket = Math.max(1, Math.ceil(frameTimes.length / points));
+    const curve = [];
+    for (let i = 0; i < frameTimes.length; i += bucket) {
+        const slice = frameTimes.slice(i, i + bucket);
+        curve.push(slice.reduce((sum, ms) => sum + ms, 0) / slice.length);
+    }
+    return { curve, bucket };
+}
+
+function summarizeHardware({ webgl, webgpu, ...hardware }) {
+    return {
+        ...hardware,
+        webgl: webgl && {
+            version: webgl.version,
+            vendor: webgl.vendor,
+            renderer: webgl.renderer
+        },
+        webgpu: webgpu && {
+            vendor: webgpu.vendor,
+            architecture: webgpu.architecture,
+            device: webgpu.device,
+            description: webgpu.description
+        }
+    };
+}
+
+// The parts of a result the result view needs, stage frame indices mapped
+// onto the downsampled curve
+function summarizeResult(result) {
+    const { curve, bucket } = downsample(result.frameTimes, CURVE_POINTS);
+    return {
+        format: result.format,
+        formatVersion: result.formatVersion,
+        timestamp: result.timestamp,
+        seed: result.seed,
+        duration: result.duration,
+        warmup: result.warmup,
+        resolution: result.resolution,
+        quality: result.quality,
+        workload: result.workload,
+        settings: result.settings,
+        simulation: result.simulation,
+        objects: result.objects,
+        modes: result.modes,
+        renderer: result.renderer,
+        hardware: summarizeHardware(result.hardware),
+        score: result.score,
+        maxLoad: result.maxLoad,
+        thermal: result.thermal,
+        validity: result.validity && {
+            status: result.validity.status,
+            reasons: result.validity.reasons
+        },
+        timing: result.timing,
+        setup: result.setup,
+        cpu: result.cpu,
+        summary: result.summary,
+        sweep: result.sweep,
+        stages: result.stages.map(stage => ({
+            id: stage.id,
+            name: stage.name,
+            duration: stage.duration,
+            frames: stage.frames,
+            firstFrame: Math.floor(stage.firstFrame / bucket),
+            avgFPS: stage.avgFPS,
+            frameStats: stage.frameStats,
+            pixels: stage.pixels,
+            renderScale: stage.renderScale,
+            setup: stage.setup,
+            timing: stage.timing && { verdict: stage.timing.verdict },
+            throughput: stage.throughput,
+            unit: stage.unit,
+            weight: stage.weight,
+            score: stage.score
+        })),
+        frameTimes: curve,
+        frameTimeBucket: bucket
+    };
+}
+
+// Five significant digits are plenty for display and keep the link short.
+// The workload definition is kept exact so the run can be repeated.
+function roundNumbers() {
+    const exact = new WeakSet();
+    return function (key, value) {
+        if (key === "definition" || exact.has(this)) {
+            if (typeof value === "object" && value !== null) exact.add(value);
+            return value;
+        }
+        return typeof value === "number" && !Number.isInteger(value)
+            ? Number(value.toPrecision(5))
+            : value;
+    };
+}
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64url(bytes) {
+    let binary = "";
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary)
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
+
+function fromBase64url(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Link to this page that opens the result summary
+export async function createShareLink(result) {
+    if (typeof CompressionStream === "undefined") {
+        throw new Error("This browser can't create share links");
+    }
+    const json = JSON.stringify(summarizeResult(result), roundNumbers());
+    const bytes = await transform(
+        new TextEncoder().encode(json),
+        new CompressionStream("deflate-raw")
+    );
+    const hash = `${HASH_PREFIX}${SHARE_VERSION}.${crc32(bytes)}.${toBase64url(bytes)}`;
+    return `${location.origin}${location.pathname}${hash}`;
+}
+
+// Shared result in the hash, or null when there is none; throws on a
+// damaged or unsupported link
+export async function readSharedResult(hash = location.hash) {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+    const [version, checksum, payload] = hash
+        .slice(HASH_PREFIX.length)
+        .split(".");
+    if (Number(version) !== SHARE_VERSION) {
+        throw new Error(`Unsupported share link version "${version}"`);
+    }
+
+    let bytes;
+    try {
+        bytes = fromBase64url(payload ?? "");
+    } catch (e) {
+        throw new Error("Share link is damaged (bad encoding)");
+    }
+    if (crc32(bytes) !== checksum) {
+        throw new Error("Share link is damaged (checksum mismatch)");
+    }
+
+    const json = new TextDecoder().decode(
+        await transform(bytes, new DecompressionStream("deflate-raw"))
+    );
+    let result;
+    try {
+        result = JSON.parse(json);
+    } catch (e) {
+        throw new Error("Share link is damaged (not valid JSON)");
+    }
+    // Anyone can craft a link with a valid checksum; only show real results
+    validateResult(result, "Share link");
+    return { ...result, source: "Shared link" };
+}
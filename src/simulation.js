@@ -0,0 +1,89 @@
+// Particle and explosion integration shared by the main thread and the
+// simulation workers, so both run exactly the same per-particle work
+
+export function hslToRgb(h, s, l) {
+    let r, g, b;
+    if (s === 0) {
+        r = g = b = l;
+    } else {
+        const hue2rgb = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        r = hue2rgb(p, q, h + 1 / 3);
+        g = hue2rgb(p, q, h);
+        b = hue2rgb(p, q, h - 1 / 3);
+    }
+    return { r, g, b };
+}
+
+// arrays may be a slice of the full particle field; firstParticle is the
+// index of its first particle so the colour cycle matches the whole field.
+// time is the simulation clock in seconds, driving the colour cycle.
+export function integrateParticles(
+    { positions, velocities, colors, scales, lifetimes },
+    deltaTime,
+    time,
+    random,
+    firstParticle = 0
+) {
+    const indexOffset = firstParticle * 3;
+    for (let i = 0; i < positions.length; i += 3) {
+        const particleIndex = i / 3;
+
+        // Update positions
+        positions[i] += velocities[i] * deltaTime;
+        positions[i + 1] += velocities[i + 1] * deltaTime;
+        positions[i + 2] += velocities[i + 2] * deltaTime;
+
+        // Update lifetimes and scales
+        if (lifetimes && scales) {
+            lifetimes[particleIndex] += deltaTime * 0.01;
+            scales[particleIndex] =
+                0.5 + Math.sin(lifetimes[particleIndex] * 2) * 0.5;
+        }
+
+        // Boundary check and reset
+        if (
+            Math.abs(positions[i]) > 150 ||
+            Math.abs(positions[i + 1]) > 150 ||
+            Math.abs(positions[i + 2]) > 150
+        ) {
+            positions[i] = (random() - 0.5) * 50;
+            positions[i + 1] = (random() - 0.5) * 50;
+            positions[i + 2] = (random() - 0.5) * 50;
+
+            if (lifetimes) lifetimes[particleIndex] = 0;
+        }
+
+        // Enhanced color animation
+        const hue = (time * 0.1 + (i + indexOffset) * 0.01) % 1;
+        const intensity = 1.2;
+        const rgb = hslToRgb(hue, 0.8, intensity);
+        colors[i] = rgb.r;
+        colors[i + 1] = rgb.g;
+        colors[i + 2] = rgb.b;
+    }
+}
+
+export function integrateExplosion(positions, velocities, deltaTime) {
+    for (let j = 0; j < positions.length; j += 3) {
+        positions[j] += velocities[j] * deltaTime;
+        positions[j + 1] += velocities[j + 1] * deltaTime;
+        positions[j + 2] += velocities[j + 2] * deltaTime;
+
+        // Apply enhanced physics
+        velocities[j + 1] -= 0.7 * deltaTime;
+
+        // Air resistance
+        velocities[j] *= 0.999;
+        velocities[j + 1] *= 0.999;
+        velocities[j + 2] *= 0.999;
+    }
+}
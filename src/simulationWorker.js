@@ -0,0 +1,47 @@
+// Simulation worker: integrates the particle slices and explosions it is
+// handed each step. Segments arrive as SharedArrayBuffer views (written in
+// place) or as transferred copies (sent back the same way).
+import { createRandom } from "./random.js";
+import { integrateParticles, integrateExplosion } from "./simulation.js";
+
+let random = Math.random;
+
+self.onmessage = ({ data }) => {
+    if (data.type === "init") {
+        random = createRandom(data.seed);
+        self.postMessage({ type: "ready" });
+        return;
+    }
+
+    if (data.type === "step") {
+        const { segments, deltaTime, time, shared } = data;
+        segments.forEach(segment => {
+            if (segment.kind === "particles") {
+                integrateParticles(
+                    segment.arrays,
+                    deltaTime,
+                    time,
+                    random,
+                    segment.firstParticle
+                );
+            } else {
+                integrateExplosion(
+                    segment.arrays.positions,
+                    segment.arrays.velocities,
+                    deltaTime
+                );
+            }
+        });
+
+        if (shared) {
+            self.postMessage({ type: "done" });
+        } else {
+            self.postMessage(
+                { type: "done", segments },
+                segments.flatMap(segment =>
+                    Object.values(segment.arrays).map(array => array.buffer)
+                )
+            );
+        }
+    }
+};
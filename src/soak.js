@@ -0,0 +1,91 @@
+// Soak mode: the whole benchmark runs several times in the same page with a
+// full teardown in between. Live resources are snapshotted after every
+// teardown and anything that keeps growing is reported as a leak.
+import { sampleRendererInfo } from "./rendererStats.js";
+import { escapeHTML } from "./html.js";
+
+// Counts have to come back to the level of the first teardown exactly; the
+// heap only counts as leaking beyond garbage collector noise
+const leakMetrics = [
+    { id: "geometries", label: "Geometries", tolerance: () => 0 },
+    { id: "textures", label: "Textures", tolerance: () => 0 },
+    { id: "programs", label: "Programs", tolerance: () => 0 },
+    { id: "sceneObjects", label: "Scene objects", tolerance: () => 0 },
+    {
+        id: "heapMB",
+        label: "JS heap (MB)",
+        tolerance: baseline => Math.max(8, baseline * 0.1)
+    }
+];
+
+export function takeResourceSnapshot(renderer, scene) {
+    const { geometries, textures, programs, heapMB } =
+        sampleRendererInfo(renderer);
+    let sceneObjects = 0;
+    scene.traverse(() => sceneObjects++);
+    return { geometries, textures, programs, heapMB, sceneObjects };
+}
+
+// Growth from the first to the last snapshot beyond each metric's tolerance
+export function detectLeaks(snapshots) {
+    if (snapshots.length < 2) return [];
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    return leakMetrics
+        .filter(({ id }) => first[id] !== null && last[id] !== null)
+        .filter(
+            ({ id, tolerance }) => last[id] - first[id] > tolerance(first[id])
+        )
+        .map(({ id, label }) => ({
+            metric: id,
+            label,
+            from: first[id],
+            to: last[id]
+        }));
+}
+
+function formatSnapshotValue(value) {
+    if (value === null || value === undefined) return "–";
+    return Number.isInteger(value) ? value : value.toFixed(1);
+}
+
+export function soakHTML(soak) {
+    if (!soak) return "";
+    const leaks = soak.leaks.length
+        ? soak.leaks
+              .map(
+                  leak =>
+                      `<div style="color: #ff4444;">LEAK: ${escapeHTML(leak.label)} ${formatSnapshotValue(
+                          leak.from
+                      )} → ${formatSnapshotValue(leak.to)}</div>`
+              )
+              .join("")
+        : `<div>${
+              soak.snapshots.length < 2
+                  ? "Leak check needs at least 2 runs"
+                  : "No resource growth between runs"
+          }</div>`;
+    return `
+        <div style="font-size: 14px; margin: 10px 0;">
+            Soak: ${soak.snapshots.length}/${soak.iterations} runs, scores ${soak.scores.join(" / ")}
+            ${leaks}
+        </div>
+        <table class="stageTable">
+            <tr><th>After run</th>${leakMetrics
+                .map(({ label }) => `<th>${label}</th>`)
+                .join("")}</tr>
+            ${soak.snapshots
+                .map(
+                    (snapshot, index) => `<tr>
+                <td>${index + 1}</td>
+                ${leakMetrics
+                    .map(
+                        ({ id }) =>
+                            `<td>${formatSnapshotValue(snapshot[id])}</td>`
+                    )
+                    .join("")}
+            </tr>`
+                )
+                .join("")}
+        </table>`;
+}
@@ -0,0 +1,175 @@
+// Benchmark stages: each one builds only the parts of the scene it measures.
+// workload, pixelExponent and weight feed the scoring model in scoring.js.
+// simulation and objects pin the particle simulation and object rendering
+// modes, otherwise the UI choices are used; threads sizes the worker pool
+// and postProcessing renders through the post-processing chain
+import { effectiveFPS } from "./scoring.js";
+
+// Particles integrated per second of simulation time
+const simulationThroughput = ({ simulatedParticles, simulationTime }) =>
+    simulationTime > 0 ? (simulatedParticles / simulationTime) * 1000 : 0;
+
+export const stages = [
+    {
+        id: "geometry",
+        name: "Geometry / Draw Calls",
+        parts: {
+            cubes: true,
+            particles: false,
+            lights: false,
+            explosions: false
+        },
+        // Scored stages pin their modes so the composite means the same
+        // whatever the menu is set to
+        objects: "meshes",
+        // Objects drawn per frame
+        workload: ({ settings }) => settings.cubes,
+        pixelExponent: 0.25,
+        weight: 0.25,
+        unit: "objects/s"
+    },
+    {
+        id: "geometryInstanced",
+        name: "Geometry / Instanced",
+        parts: {
+            cubes: true,
+            particles: false,
+            lights: false,
+            explosions: false
+        },
+        objects: "instanced",
+        // Same objects as the geometry stage in one draw call per shape, so
+        // the gap between the two is the draw-call overhead. Reported next to
+        // it but not part of the composite.
+        workload: ({ settings }) => settings.cubes,
+        pixelExponent: 0.25,
+        weight: 0,
+        unit: "objects/s"
+    },
+    {
+        id: "particles",
+        name: "Particle Fill-Rate",
+        parts: {
+            cubes: false,
+            particles: true,
+            lights: false,
+            explosions: false
+        },
+        // Scored on the CPU path's point material; the GPU path blends and
+        // fades differently and is measured by the gpuSimulation stage
+        simulation: "cpu",
+        // Particles blended per frame
+        workload: ({ settings }) => settings.particles,
+        pixelExponent: 1,
+        weight: 0.25,
+        unit: "particles drawn/s"
+    },
+    {
+        id: "lighting",
+        name: "Dynamic Lights & Shadows",
+        parts: {
+            cubes: true,
+            particles: false,
+            lights: true,
+            explosions: false
+        },
+        objects: "meshes",
+        // Light-object interactions per frame
+        workload: ({ settings }) => settings.lights * settings.cubes,
+        pixelExponent: 0.5,
+        weight: 0.25,
+        unit: "interactions/s"
+    },
+    {
+        id: "simulation",
+        name: "CPU Simulation",
+        parts: {
+            cubes: false,
+            particles: true,
+            lights: false,
+            explosions: true
+        },
+        simulation: "cpu",
+        // CPU bound: scored on particles integrated per second of simulation
+        // time instead of frame rate, so workload and pixels don't apply
+        throughput: simulationThroughput,
+        weight: 0.1,
+        unit: "particle updates/s"
+    },
+    {
+        id: "cpuThreadsSingle",
+        name: "CPU Workers (1 thread)",
+        parts: {
+            cubes: false,
+            particles: true,
+            lights: false,
+            explosions: true
+        },
+        simulation: "workers",
+        threads: 1,
+        // Baseline for the multi-thread scaling factor, running the same
+        // worker code. Reported but not part of the composite.
+        throughput: simulationThroughput,
+        weight: 0,
+        unit: "particle updates/s"
+    },
+    {
+        id: "cpuThreads",
+        name: "CPU Workers (all cores)",
+        parts: {
+            cubes: false,
+            particles: true,
+            lights: false,
+            explosions: true
+        },
+        simulation: "workers",
+        // One worker per logical core (navigator.hardwareConcurrency)
+        threads: "all",
+        throughput: simulationThroughput,
+        weight: 0.15,
+        unit: "particle updates/s"
+    },
+    {
+        id: "gpuSimulation",
+        name: "GPU Simulation",
+        parts: {
+            cubes: false,
+            particles: true,
+            lights: false,
+            explosions: true
+        },
+        simulation: "gpu",
+        // Same scene as the CPU stage with the integration moved into the
+        // vertex shader. Reported next to it but not part of the composite.
+        // The shader's simulation time can't be taken apart from the frame,
+        // so this is frame throughput like the fill-rate stage, not the CPU
+        // stage's updates per second of simulation time: compare the two
+        // stages by FPS.
+        workload: ({ settings }) => settings.particles,
+        pixelExponent: 1,
+        weight: 0,
+        unit: "particles drawn/s"
+    },
+    {
+        id: "postProcessing",
+        name: "Post-Processing",
+        parts: {
+            cubes: true,
+            particles: true,
+            lights: false,
+            explosions: true
+        },
+        postProcessing: true,
+        // Full-screen pass pixels per second with the whole chain enabled.
+        // Reported but not part of the composite; zero when the chain can't
+        // run (WebGPU backend) or the preset enables no passes.
+        throughput: ({ postProcessing, pixels }) =>
+            postProcessing
+                ? postProcessing.passes.length *
+                  pixels *
+                  effectiveFPS(postProcessing.fullChain)
+                : 0,
+        weight: 0,
+        unit: "pass-px/s"
+    }
+];
@@ -0,0 +1,111 @@
+// Resolution sweep: the full scene rendered at several render scales, giving
+// an FPS-versus-megapixels curve. How frame time grows with pixel count tells
+// fill-rate bound devices apart from geometry (or CPU) bound ones.
+import { effectiveFPS } from "./scoring.js";
+
+// Multipliers of the render resolution (window or fixed), applied through the
+// pixel ratio so the picture stays the same and only the pixel count changes
+export const SWEEP_SCALES = [0.5, 0.75, 1, 1.5, 2];
+
+export function createSweepStages(scales = SWEEP_SCALES) {
+    return scales.map(scale => ({
+        id: `sweep${scale}`,
+        scoreId: "sweep",
+        name: `Resolution Sweep ${scale}×`,
+        parts: {
+            cubes: true,
+            particles: true,
+            lights: true,
+            explosions: true
+        },
+        renderScale: scale,
+        // Frames per second normalised to 1080p; not part of the composite
+        workload: () => 1,
+        pixelExponent: 1,
+        weight: 0,
+        unit: "1080p frames/s"
+    }));
+}
+
+// Slope of log(frame time) over log(pixels): 1 when frame time grows with the
+// pixel count (fill-rate bound), 0 when it doesn't care (geometry bound)
+function pixelExponent(points) {
+    const xs = points.map(point => Math.log(point.megapixels));
+    const ys = points.map(point => Math.log(1000 / point.fps));
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    let covariance = 0;
+    let variance = 0;
+    xs.forEach((x, i) => {
+        covariance += (x - meanX) * (ys[i] - meanY);
+        variance += (x - meanX) ** 2;
+    });
+    return variance > 0 ? covariance / variance : 0;
+}
+
+// Sweep curve from the stage results, null when no sweep stage ran
+export function analyzeSweep(stageResults) {
+    const points = stageResults
+        .filter(stage => stage.renderScale !== undefined && stage.frames > 0)
+        .map(stage => ({
+            scale: stage.renderScale,
+            megapixels: stage.pixels / 1e6,
+            fps: effectiveFPS(stage.frameStats)
+        }))
+        .filter(point => point.fps > 0);
+    if (points.length < 2) return points.length ? { points } : null;
+
+    const exponent = pixelExponent(points);
+    return {
+        points,
+        exponent,
+        bound:
+            exponent > 0.7
+                ? "fill-rate bound"
+                : exponent < 0.3
+                  ? "geometry / CPU bound"
+                  : "mixed"
+    };
+}
+
+// FPS (y) over megapixels (x), both axes starting at zero
+export function drawSweepGraph(canvas, sweep) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const pad = 30;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillRect(0, 0, width, height);
+
+    const maxX = Math.max(...sweep.points.map(point => point.megapixels));
+    const maxY = Math.max(...sweep.points.map(point => point.fps));
+    const x = value => pad + (value / maxX) * (width - pad * 1.5);
+    const y = value => height - pad - (value / maxY) * (height - pad * 1.5);
+
+    ctx.strokeStyle = "rgba(0, 255, 136, 0.3)";
+    ctx.beginPath();
+    ctx.moveTo(pad, pad / 2);
+    ctx.lineTo(pad, height - pad);
+    ctx.lineTo(width - pad / 2, height - pad);
+    ctx.stroke();
+
+    ctx.strokeStyle = "#00ff88";
+    ctx.fillStyle = "#ffff00";
+    ctx.beginPath();
+    sweep.points.forEach((point, i) => {
+        const px = x(point.megapixels);
+        const py = y(point.fps);
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+    sweep.points.forEach(point => {
+        ctx.fillRect(x(point.megapixels) - 2, y(point.fps) - 2, 4, 4);
+    });
+
+    ctx.fillStyle = "#888";
+    ctx.font = "10px monospace";
+    ctx.fillText(`${maxY.toFixed(0)} FPS`, 2, pad / 2 + 8);
+    ctx.fillText(`${maxX.toFixed(1)} MP`, width - 50, height - 8);
+    ctx.fillText("0", pad - 10, height - pad + 12);
+}
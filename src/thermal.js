@@ -0,0 +1,173 @@
+// Sustained-load thermal test: the full scene runs for many minutes as a
+// single stage and the measured frames are cut into fixed intervals. A device
+// that throttles shows up as FPS falling from the first interval onwards.
+import { computeFrameStats } from "./frameStats.js";
+
+// Test lengths offered in the menu, in minutes
+export const thermalDurations = [10, 20, 30];
+// Measured seconds per interval
+export const THERMAL_INTERVAL = 30;
+// An interval this far below the first one counts as throttled
+const THROTTLE_DROP = 0.1;
+
+export function createThermalStage(minutes) {
+    return {
+        id: "thermal",
+        name: `Thermal ${minutes} min`,
+        parts: {
+            cubes: true,
+            particles: true,
+            lights: true,
+            explosions: true
+        },
+        // Judged by its FPS trend, not scored
+        throughput: () => 0,
+        weight: 0,
+        unit: "load"
+    };
+}
+
+// Collects measured frame times and closes an interval every
+// intervalSeconds of frame time
+export function createThermalRecorder(intervalSeconds = THERMAL_INTERVAL) {
+    const intervals = [];
+    let frameTimes = [];
+    let elapsed = 0;
+    let intervalTime = 0;
+
+    function closeInterval() {
+        const frameStats = computeFrameStats(frameTimes);
+        intervals.push({
+            start: elapsed - intervalTime / 1000,
+            duration: intervalTime / 1000,
+            frames: frameTimes.length,
+            avgFPS: frameTimes.length / (intervalTime / 1000),
+            median: frameStats.median,
+            p99: frameStats.p99,
+            low1: frameStats.low1
+        });
+        frameTimes = [];
+        intervalTime = 0;
+    }
+
+    return {
+        add(frameTime) {
+            frameTimes.push(frameTime);
+            intervalTime += frameTime;
+            elapsed += frameTime / 1000;
+            if (intervalTime >= intervalSeconds * 1000) closeInterval();
+        },
+
+        // Intervals so far; a trailing partial interval counts once it
+        // covers at least half the interval length
+        finish() {
+            if (intervalTime >= intervalSeconds * 500) closeInterval();
+            return intervals;
+        }
+    };
+}
+
+// drop: FPS lost from the first to the last interval (0.2 = 20% slower),
+// timeToThrottle: start of the first interval more than THROTTLE_DROP below
+// the first one in seconds (null if none), stability: slowest over fastest
+// interval in percent
+export function analyzeThermal(intervals) {
+    if (intervals.length === 0) return { intervals };
+    const first = intervals[0];
+    const last = intervals[intervals.length - 1];
+    const fps = intervals.map(interval => interval.avgFPS);
+    const throttled = intervals.find(
+        interval => interval.avgFPS < first.avgFPS * (1 - THROTTLE_DROP)
+    );
+    return {
+        interval: THERMAL_INTERVAL,
+        intervals,
+        drop: first.avgFPS > 0 ? 1 - last.avgFPS / first.avgFPS : 0,
+        timeToThrottle: throttled ? throttled.start : null,
+        stability:
+            Math.max(...fps) > 0
+                ? (Math.min(...fps) / Math.max(...fps)) * 100
+                : 0
+    };
+}
+
+function formatMinutes(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, "0")}`;
+}
+
+export function thermalHTML(thermal, index) {
+    if (!thermal) return "";
+    if (thermal.intervals.length === 0) {
+        return `<div style="font-size: 24px; margin: 10px 0; color: #ffff00;">Thermal test: no complete interval</div>`;
+    }
+    const first = thermal.intervals[0];
+    const last = thermal.intervals[thermal.intervals.length - 1];
+    return `
+        <div style="font-size: 24px; margin: 10px 0; color: #ffff00;">
+            Thermal stability: ${thermal.stability.toFixed(1)}%
+        </div>
+        <div style="font-size: 14px;">
+            ${first.avgFPS.toFixed(1)} → ${last.avgFPS.toFixed(1)} FPS
+            (${(thermal.drop * 100).toFixed(1)}% drop) · ${
+                thermal.timeToThrottle === null
+                    ? "no throttling"
+                    : `throttled after ${formatMinutes(thermal.timeToThrottle)}`
+            } · ${thermal.intervals.length} × ${thermal.interval}s intervals
+        </div>
+        <canvas class="thermalGraph" data-result="${index}" width="480" height="160"></canvas>`;
+}
+
+// Average FPS (line) and 1% low (dots) per interval over time, with the first
+// interval's FPS as the dashed reference
+export function drawThermalGraph(canvas, thermal) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const pad = 30;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillRect(0, 0, width, height);
+
+    const { intervals } = thermal;
+    const end = intervals[intervals.length - 1];
+    const maxX = end.start + end.duration;
+    const maxY = Math.max(...intervals.map(interval => interval.avgFPS)) * 1.1;
+    const x = seconds => pad + (seconds / maxX) * (width - pad * 1.5);
+    const y = fps => height - pad - (fps / maxY) * (height - pad * 1.5);
+    const middle = interval => interval.start + interval.duration / 2;
+
+    ctx.strokeStyle = "rgba(0, 255, 136, 0.3)";
+    ctx.beginPath();
+    ctx.moveTo(pad, pad / 2);
+    ctx.lineTo(pad, height - pad);
+    ctx.lineTo(width - pad / 2, height - pad);
+    ctx.stroke();
+
+    ctx.strokeStyle = "#0099ff";
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(pad, y(intervals[0].avgFPS));
+    ctx.lineTo(width - pad / 2, y(intervals[0].avgFPS));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = "#00ff88";
+    ctx.beginPath();
+    intervals.forEach((interval, i) => {
+        const px = x(middle(interval));
+        const py = y(interval.avgFPS);
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+    ctx.fillStyle = "#ff8800";
+    intervals.forEach(interval => {
+        ctx.fillRect(x(middle(interval)) - 2, y(interval.low1) - 2, 4, 4);
+    });
+
+    ctx.fillStyle = "#888";
+    ctx.font = "10px monospace";
+    ctx.fillText(`${maxY.toFixed(0)} FPS`, 2, pad / 2 + 8);
+    ctx.fillText(formatMinutes(maxX), width - 40, height - 8);
+    ctx.fillText("0", pad - 10, height - pad + 12);
+}
@@ -0,0 +1,130 @@
+// Run validity: a result is only comparable when the frames measured what
+// the device can render. Events recorded during the run (hidden tab, lost
+// focus, long main-thread pauses, context loss) and a vsync check on every
+// stage's frame times decide whether it is valid, a warning or invalid.
+import { escapeHTML } from "./html.js";
+
+// Measured frames slower than this count as a main-thread pause
+export const LONG_PAUSE_MS = 250;
+// Pauses adding up to more than this share of the measured time invalidate
+const MAX_PAUSED_SHARE = 0.1;
+// Frame times within this share of the refresh interval count as vsync
+// locked; a stage is capped when most of its frames are
+const VSYNC_TOLERANCE = 0.1;
+const VSYNC_SHARE = 0.75;
+
+// Share of frames at the display's refresh interval, 0 without a known rate
+export function vsyncShare(frameTimes, refreshRate) {
+    if (!(refreshRate > 0) || frameTimes.length === 0) return 0;
+    const interval = 1000 / refreshRate;
+    const locked = frameTimes.filter(
+        ms => Math.abs(ms - interval) <= interval * VSYNC_TOLERANCE
+    ).length;
+    return locked / frameTimes.length;
+}
+
+function sumOf(events, key) {
+    return events.reduce((sum, event) => sum + event[key], 0);
+}
+
+// events: { type, time, stage, ... } as recorded by main.js; stages and
+// frameTimes as in the result. Returns { status, reasons, events }.
+export function assessValidity({ events, stages, frameTimes, refreshRate }) {
+    const reasons = [];
+    const ofType = type => events.filter(event => event.type === type);
+
+    const lost = ofType("contextLost");
+    if (lost.length > 0) {
+        reasons.push({
+            level: "invalid",
+            code: "contextLost",
+            message: `Rendering context lost (${lost[0].message}), run aborted`
+        });
+    }
+
+    // Each "visible" event closes one hidden period
+    const resumed = ofType("visible");
+    if (resumed.length > 0) {
+        reasons.push({
+            level: "warning",
+            code: "hidden",
+            message: `Tab hidden ${resumed.length}× for ${sumOf(
+                resumed,
+                "hidden"
+            ).toFixed(1)}s; measuring paused and resumed after a warm-up`
+        });
+    }
+
+    // Switching tabs blurs the window as well; that is reported as hidden
+    const blurred = ofType("blur").filter(
+        blur =>
+            !ofType("hidden").some(hide => Math.abs(hide.time - blur.time) < 1)
+    );
+    if (blurred.length > 0) {
+        reasons.push({
+            level: "warning",
+            code: "blur",
+            message: `Window lost focus ${blurred.length}×; other applications may have competed for the device`
+        });
+    }
+
+    const pauses = ofType("pause");
+    if (pauses.length > 0) {
+        const pausedMs = sumOf(pauses, "ms");
+        const measuredMs = frameTimes.reduce((sum, ms) => sum + ms, 0);
+        const share = measuredMs > 0 ? pausedMs / measuredMs : 1;
+        reasons.push({
+            level: share > MAX_PAUSED_SHARE ? "invalid" : "warning",
+            code: "pauses",
+            message: `${pauses.length} main-thread pauses over ${LONG_PAUSE_MS} ms (${(
+                share * 100
+            ).toFixed(1)}% of the measured time)`
+        });
+    }
+
+    const capped = stages.filter(
+        stage =>
+            vsyncShare(
+                frameTimes.slice(
+                    stage.firstFrame,
+                    stage.firstFrame + stage.frames
+                ),
+                refreshRate
+            ) >= VSYNC_SHARE
+    );
+    if (capped.length > 0) {
+        reasons.push({
+            level: "warning",
+            code: "vsync",
+            message: `Capped at the ${refreshRate} Hz refresh rate in ${capped
+                .map(stage => stage.name)
+                .join(", ")}; FPS there is a lower bound`
+        });
+    }
+
+    const status = reasons.some(reason => reason.level === "invalid")
+        ? "invalid"
+        : reasons.length > 0
+          ? "warning"
+          : "valid";
+    return { status, reasons, events };
+}
+
+const statusColors = {
+    valid: "#00ff88",
+    warning: "#ff8800",
+    invalid: "#ff4444"
+};
+
+export function validityHTML(validity) {
+    if (!validity) return "";
+    return `
+        <div style="font-size: 14px; margin: 10px 0; color: ${
+            statusColors[validity.status]
+        };">
+            <b>${escapeHTML(validity.status.toUpperCase())}</b>
+            ${validity.reasons
+                .map(reason => `<div>${escapeHTML(reason.message)}</div>`)
+                .join("")}
+        </div>`;
+}
@@ -0,0 +1,158 @@
+// Pool of simulation workers that split the particle field and explosions
+
+// SharedArrayBuffer needs a cross-origin isolated page (COOP/COEP headers)
+export const sharedMemorySupported =
+    typeof SharedArrayBuffer !== "undefined" &&
+    globalThis.crossOriginIsolated === true;
+
+// Simulation arrays live in shared memory when possible so workers can write
+// them in place; otherwise they are copied and transferred every step
+export function createSimulationArray(length, shared) {
+    return shared
+        ? new Float32Array(new SharedArrayBuffer(length * 4))
+        : new Float32Array(length);
+}
+
+function isShared(array) {
+    return (
+        typeof SharedArrayBuffer !== "undefined" &&
+        array.buffer instanceof SharedArrayBuffer
+    );
+}
+
+function request(worker, message, transfer = []) {
+    return new Promise((resolve, reject) => {
+        worker.onmessage = ({ data }) => resolve(data);
+        worker.onerror = event =>
+            reject(new Error(`Simulation worker failed: ${event.message}`));
+        worker.postMessage(message, transfer);
+    });
+}
+
+const fieldStrides = {
+    positions: 3,
+    velocities: 3,
+    colors: 3,
+    scales: 1,
+    lifetimes: 1
+};
+
+// Split the field into one contiguous slice per worker and deal the
+// explosions out round-robin
+function buildSegments(size, field, explosions) {
+    const segments = Array.from({ length: size }, () => []);
+    if (field) {
+        const count = field.positions.length / 3;
+        const perWorker = Math.ceil(count / size);
+        for (let w = 0; w < size; w++) {
+            const start = w * perWorker;
+            const end = Math.min(count, start + perWorker);
+            if (start >= end) break;
+            const arrays = {};
+            Object.entries(fieldStrides).forEach(([name, stride]) => {
+                if (field[name]) {
+                    arrays[name] = field[name].subarray(
+                        start * stride,
+                        end * stride
+                    );
+                }
+            });
+            segments[w].push({
+                kind: "particles",
+                firstParticle: start,
+                arrays
+            });
+        }
+    }
+    explosions.forEach((arrays, index) => {
+        segments[index % size].push({ kind: "explosion", arrays });
+    });
+    return segments;
+}
+
+export async function createSimulationPool(size, seed) {
+    const workers = Array.from(
+        { length: size },
+        () =>
+            new Worker(new URL("./simulationWorker.js", import.meta.url), {
+                type: "module"
+            })
+    );
+    try {
+        await Promise.all(
+            workers.map((worker, index) =>
+                request(worker, { type: "init", seed: seed + index })
+            )
+        );
+    } catch (e) {
+        workers.forEach(worker => worker.terminate());
+        throw e;
+    }
+
+    return {
+        size,
+
+        // field: { positions, velocities, colors, scales, lifetimes } or null
+        // explosions: [{ positions, velocities }]
+        // deltaTime in 60 Hz frames, time in seconds of simulation time
+        async step(field, explosions, deltaTime, time) {
+            const segments = buildSegments(size, field, explosions);
+            const shared = segments.every(list =>
+                list.every(segment =>
+                    Object.values(segment.arrays).every(isShared)
+                )
+            );
+
+            await Promise.all(
+                workers.map(async (worker, w) => {
+                    if (segments[w].length === 0) return;
+                    if (shared) {
+                        await request(worker, {
+                            type: "step",
+                            segments: segments[w],
+                            deltaTime,
+                            time,
+                            shared
+                        });
+                        return;
+                    }
+
+                    const copies = segments[w].map(segment => ({
+                        ...segment,
+                        arrays: Object.fromEntries(
+                            Object.entries(segment.arrays).map(
+                                ([name, array]) => [name, array.slice()]
+                            )
+                        )
+                    }));
+                    const reply = await request(
+                        worker,
+                        {
+                            type: "step",
+                            segments: copies,
+                            deltaTime,
+                            time,
+                            shared
+                        },
+                        copies.flatMap(segment =>
+                            Object.values(segment.arrays).map(
+                                array => array.buffer
+                            )
+                        )
+                    );
+                    reply.segments.forEach((segment, index) => {
+                        Object.entries(segment.arrays).forEach(
+                            ([name, array]) => {
+                                segments[w][index].arrays[name].set(array);
+                            }
+                        );
+                    });
+                })
+            );
+        },
+
+        dispose() {
+            workers.forEach(worker => worker.terminate());
+        }
+    };
+}
@@ -0,0 +1,470 @@
+// Declarative workloads: a JSON file describing the benchmark scene. The
+// built-in presets are workload files (workloads/*.json) and users can load
+// their own to measure scenes that look like their product.
+//
+// {
+//   "format": "benchmark3d-workload", "version": 1, "name": "My scene",
+//   "duration": 30,                 seconds, optional
+//   "complexity": 4,                geometry detail, 1 to 8
+//   "shadows": true, "effects": true,
+//   "postProcessing": { "bloom": true, "ssao": false, ... },
+//   "ambient": { "color": "#404080", "intensity": 0.4 },
+//   "fog": { "color": "#000011", "near": 50, "far": 400 } or null,
+//   "camera": { "fov": 75, "near": 0.1, "far": 2000, "distance": 80,
+//               "sway": [25, 35], "swaySpeed": [0.3, 0.2] },
+//   "rotation": [0.0028, 0.007],    scene spin per step around x and y
+//   "objects": [{ "count", "geometries", "center", "spread", "material",
+//                 "animation" }],
+//   "particles": { "size": 0.1, "emitters": [{ "count", "center",
+//                  "spread", "speed", "hue", "saturation", "lightness",
+//                  "scale" }] },
+//   "lights": [{ "type", "count", "colors", "intensity", "distance",
+//                "center", "spread", "amplitude", "speed" }]
+// }
+//
+// Ranges are [min, max] pairs drawn from the seeded generator. Every field
+// except format, version and name has a default, the standard scene's value.
+// Particle motion itself is fixed (simulation.js), emitters only place them.
+import * as THREE from "three";
+import { postPasses } from "./postProcessing.js";
+
+export const WORKLOAD_FORMAT = "benchmark3d-workload";
+export const WORKLOAD_VERSION = 1;
+// More point lights than this no longer compile on common drivers
+export const MAX_LIGHTS = 64;
+
+// Unit-sized shapes; detail is the workload's complexity
+const geometryFactories = {
+    box: () => new THREE.BoxGeometry(1, 1, 1),
+    sphere: detail => new THREE.SphereGeometry(0.5, detail * 4, detail * 4),
+    cone: detail => new THREE.ConeGeometry(0.5, 1, detail * 2),
+    cylinder: detail => new THREE.CylinderGeometry(0.5, 0.5, 1, detail * 2),
+    octahedron: () => new THREE.OctahedronGeometry(0.7),
+    tetrahedron: () => new THREE.TetrahedronGeometry(0.7),
+    icosahedron: () => new THREE.IcosahedronGeometry(0.6),
+    dodecahedron: () => new THREE.DodecahedronGeometry(0.5),
+    torus: () => new THREE.TorusGeometry(0.4, 0.2, 8, 16),
+    torusKnot: detail =>
+        new THREE.TorusKnotGeometry(0.35, 0.12, detail * 16, detail * 2)
+};
+
+const materialTypes = {
+    standard: THREE.MeshStandardMaterial,
+    physical: THREE.MeshPhysicalMaterial,
+    phong: THREE.MeshPhongMaterial,
+    lambert: THREE.MeshLambertMaterial,
+    basic: THREE.MeshBasicMaterial
+};
+
+const lightTypes = ["point", "spot"];
+
+export function createWorkloadGeometry(name, complexity) {
+    return geometryFactories[name](Math.max(1, complexity));
+}
+
+// params: { color, roughness, metalness, emissive } for one object; each
+// material type takes the parameters it supports
+export function createWorkloadMaterial(
+    material,
+    { color, roughness, metalness, emissive }
+) {
+    const parameters = {
+        transparent: material.opacity < 1,
+        opacity: material.opacity
+    };
+    if (color) parameters.color = color;
+    if (material.type === "standard" || material.type === "physical") {
+        Object.assign(parameters, { roughness, metalness });
+    }
+    if (material.type !== "basic") parameters.emissive = emissive;
+    return new materialTypes[material.type](parameters);
+}
+
+// Reads the fields of one JSON object, filling in defaults. Every error names
+// the source and the field path; done() reports fields nobody read, which
+// catches typos.
+function fieldReader(object, path, source) {
+    const used = new Set();
+    const fieldPath = key => `${path}${path ? "." : ""}${key}`;
+    const fail = (key, message) => {
+        throw new Error(`${source}: ${fieldPath(key)} ${message}`);
+    };
+    const read = (key, fallback) => {
+        used.add(key);
+        return object[key] === undefined ? fallback : object[key];
+    };
+    const checkNumber = (key, value, { min = -Infinity, max = Infinity }) => {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            fail(key, `must be a number, got ${JSON.stringify(value)}`);
+        }
+        if (value < min || value > max) {
+            fail(key, `must be between ${min} and ${max}, got ${value}`);
+        }
+    };
+    const checkColor = (key, value) => {
+        if (typeof value !== "string" || !/^#[0-9a-f]{6}$/i.test(value)) {
+            fail(
+                key,
+                `must be a colour like "#ff8800", got ${JSON.stringify(value)}`
+            );
+        }
+    };
+    const readList = (key, fallback, what) => {
+        const value = read(key, fallback);
+        if (!Array.isArray(value) || value.length === 0) {
+            fail(key, `must be a non-empty list of ${what}`);
+        }
+        return value;
+    };
+    const readObject = (value, key, readFields) => {
+        if (
+            typeof value !== "object" ||
+            value === null ||
+            Array.isArray(value)
+        ) {
+            fail(key, "must be an object");
+        }
+        const reader = fieldReader(value, fieldPath(key), source);
+        const fields = readFields(reader);
+        reader.done();
+        return fields;
+    };
+
+    return {
+        // limits: { min, max, integer }; optional numbers fall back to null
+        number(key, fallback, limits = {}) {
+            const value = read(key, fallback);
+            if (value === null && fallback === null) return null;
+            checkNumber(key, value, limits);
+            if (limits.integer && !Number.isInteger(value)) {
+                fail(key, `must be a whole number, got ${value}`);
+            }
+            return value;
+        },
+
+        boolean(key, fallback) {
+            const value = read(key, fallback);
+            if (typeof value !== "boolean") {
+                fail(
+                    key,
+                    `must be true or false, got ${JSON.stringify(value)}`
+                );
+            }
+            return value;
+        },
+
+        string(key, fallback, choices) {
+            const value = read(key, fallback);
+            if (typeof value !== "string" || value.trim() === "") {
+                fail(key, "must be a non-empty string");
+            }
+            if (choices && !choices.includes(value)) {
+                fail(
+                    key,
+                    `must be one of ${choices.join(", ")}, got "${value}"`
+                );
+            }
+            return value;
+        },
+
+        // Non-empty list of names from choices
+        strings(key, fallback, choices) {
+            const value = readList(key, fallback, "names");
+            value.forEach(name => {
+                if (!choices.includes(name)) {
+                    fail(
+                        key,
+                        `has unknown entry ${JSON.stringify(name)}, use ${choices.join(", ")}`
+                    );
+                }
+            });
+            return [...value];
+        },
+
+        // Two numbers, e.g. separate x and z values
+        pair(key, fallback, limits = {}) {
+            const value = read(key, fallback);
+            if (!Array.isArray(value) || value.length !== 2) {
+                fail(key, "must be a pair of numbers");
+            }
+            value.forEach(part => checkNumber(key, part, limits));
+            return [...value];
+        },
+
+        // [min, max] drawn from uniformly
+        range(key, fallback, limits = {}) {
+            const value = this.pair(key, fallback, limits);
+            if (value[0] > value[1]) {
+                fail(key, "must be [min, max] with the smaller value first");
+            }
+            return value;
+        },
+
+        vector(key, fallback) {
+            const value = read(key, fallback);
+            if (!Array.isArray(value) || value.length !== 3) {
+                fail(key, "must be an [x, y, z] array");
+            }
+            value.forEach(part => checkNumber(key, part, {}));
+            return [...value];
+        },
+
+        color(key, fallback) {
+            const value = read(key, fallback);
+            checkColor(key, value);
+            return value;
+        },
+
+        colors(key, fallback) {
+            const value = readList(key, fallback, "colours");
+            value.forEach(color => checkColor(key, color));
+            return [...value];
+        },
+
+        // Nested object read by readFields(reader); null stays null when
+        // nullable
+        object(key, readFields, { nullable = false } = {}) {
+            const value = read(key, {});
+            if (value === null && nullable) return null;
+            return readObject(value, key, readFields);
+        },
+
+        // List of objects, each read by readItem(reader)
+        list(key, fallback, readItem) {
+            const value = read(key, fallback);
+            if (!Array.isArray(value)) fail(key, "must be a list");
+            return value.map((item, index) =>
+                readObject(item, `${key}[${index}]`, readItem)
+            );
+        },
+
+        done() {
+            Object.keys(object)
+                .filter(key => !used.has(key))
+                .forEach(key => fail(key, "is not a workload field"));
+        }
+    };
+}
+
+function readObjectGroup(group) {
+    return {
+        count: group.number("count", 1000, {
+            min: 0,
+            max: 100000,
+            integer: true
+        }),
+        geometries: group.strings(
+            "geometries",
+            ["box", "sphere", "cone", "octahedron"],
+            Object.keys(geometryFactories)
+        ),
+        center: group.vector("center", [0, 0, 0]),
+        spread: group.number("spread", 150, { min: 0 }),
+        material: group.object("material", material => ({
+            type: material.string(
+                "type",
+                "standard",
+                Object.keys(materialTypes)
+            ),
+            hue: material.range("hue", [0, 1], { min: 0, max: 1 }),
+            saturation: material.number("saturation", 0.8, { min: 0, max: 1 }),
+            lightness: material.number("lightness", 0.6, { min: 0, max: 1 }),
+            roughness: material.range("roughness", [0.2, 0.5], {
+                min: 0,
+                max: 1
+            }),
+            metalness: material.range("metalness", [0, 0.8], {
+                min: 0,
+                max: 1
+            }),
+            opacity: material.number("opacity", 0.9, { min: 0, max: 1 }),
+            emissive: material.number("emissive", 0.1, { min: 0, max: 1 })
+        })),
+        animation: group.object("animation", animation => ({
+            spin: animation.number("spin", 0.03, { min: 0 }),
+            bob: animation.range("bob", [2, 10], { min: 0 }),
+            pulse: animation.number("pulse", 0.1, { min: 0, max: 1 }),
+            explosionChance: animation.number("explosionChance", 0.00015, {
+                min: 0,
+                max: 1
+            })
+        }))
+    };
+}
+
+function readEmitter(emitter) {
+    return {
+        count: emitter.number("count", 10000, {
+            min: 0,
+            max: 1000000,
+            integer: true
+        }),
+        center: emitter.vector("center", [0, 0, 0]),
+        spread: emitter.number("spread", 200, { min: 0 }),
+        speed: emitter.number("speed", 2, { min: 0 }),
+        hue: emitter.range("hue", [0, 1], { min: 0, max: 1 }),
+        saturation: emitter.range("saturation", [0.8, 1], { min: 0, max: 1 }),
+        lightness: emitter.range("lightness", [0.7, 1.5], { min: 0 }),
+        scale: emitter.range("scale", [0.5, 2], { min: 0 })
+    };
+}
+
+function readLightGroup(light) {
+    return {
+        type: light.string("type", "point", lightTypes),
+        count: light.number("count", 8, {
+            min: 0,
+            max: MAX_LIGHTS,
+            integer: true
+        }),
+        colors: light.colors("colors", ["#ffffff"]),
+        intensity: light.range("intensity", [1, 3], { min: 0 }),
+        distance: light.number("distance", 120, { min: 0 }),
+        center: light.vector("center", [0, 0, 0]),
+        spread: light.number("spread", 200, { min: 0 }),
+        amplitude: light.number("amplitude", 40, { min: 0 }),
+        speed: light.range("speed", [0.01, 0.04], { min: 0 })
+    };
+}
+
+// Checks a parsed workload file and returns it with every default filled
+// in; throws an Error naming the source and the offending field
+export function validateWorkload(data, source = "workload") {
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+        throw new Error(`${source}: a workload must be a JSON object`);
+    }
+    const root = fieldReader(data, "", source);
+    if (root.string("format", "-") !== WORKLOAD_FORMAT) {
+        throw new Error(`${source}: format must be "${WORKLOAD_FORMAT}"`);
+    }
+    const version = root.number("version", undefined, {
+        min: 1,
+        integer: true
+    });
+    if (version > WORKLOAD_VERSION) {
+        throw new Error(
+            `${source}: workload version ${version} is newer than this benchmark (v${WORKLOAD_VERSION})`
+        );
+    }
+
+    const workload = {
+        format: WORKLOAD_FORMAT,
+        version,
+        name: root.string("name"),
+        duration: root.number("duration", null, { min: 1, max: 3600 }),
+        complexity: root.number("complexity", 4, {
+            min: 1,
+            max: 8,
+            integer: true
+        }),
+        shadows: root.boolean("shadows", true),
+        effects: root.boolean("effects", true),
+        postProcessing: root.object("postProcessing", post =>
+            Object.fromEntries(
+                postPasses.map(({ id }) => [id, post.boolean(id, false)])
+            )
+        ),
+        ambient: root.object("ambient", ambient => ({
+            color: ambient.color("color", "#404080"),
+            intensity: ambient.number("intensity", 0.4, { min: 0 })
+        })),
+        fog: root.object(
+            "fog",
+            fog => ({
+                color: fog.color("color", "#000011"),
+                near: fog.number("near", 50, { min: 0 }),
+                far: fog.number("far", 400, { min: 0 })
+            }),
+            { nullable: true }
+        ),
+        camera: root.object("camera", camera => ({
+            fov: camera.number("fov", 75, { min: 10, max: 150 }),
+            near: camera.number("near", 0.1, { min: 0.001 }),
+            far: camera.number("far", 2000, { min: 1 }),
+            distance: camera.number("distance", 80),
+            sway: camera.pair("sway", [25, 35], { min: 0 }),
+            swaySpeed: camera.pair("swaySpeed", [0.3, 0.2], { min: 0 })
+        })),
+        rotation: root.pair("rotation", [0.0028, 0.007]),
+        objects: root.list("objects", [], readObjectGroup),
+        particles: root.object("particles", particles => ({
+            size: particles.number("size", 0.1, { min: 0 }),
+            emitters: particles.list("emitters", [], readEmitter)
+        })),
+        lights: root.list("lights", [], readLightGroup)
+    };
+    root.done();
+
+    if (workload.fog && workload.fog.near >= workload.fog.far) {
+        throw new Error(`${source}: fog.near must be less than fog.far`);
+    }
+    if (workload.camera.near >= workload.camera.far) {
+        throw new Error(`${source}: camera.near must be less than camera.far`);
+    }
+    const lightCount = workload.lights.reduce(
+        (sum, group) => sum + group.count,
+        0
+    );
+    if (lightCount > MAX_LIGHTS) {
+        throw new Error(
+            `${source}: ${lightCount} lights in total, at most ${MAX_LIGHTS} are supported`
+        );
+    }
+    return workload;
+}
+
+// Summary in the shape of the quality settings: totals the stages scale
+// their throughput by, plus the detail and post-processing toggles
+export function workloadSettings(workload) {
+    const total = groups => groups.reduce((sum, group) => sum + group.count, 0);
+    return {
+        cubes: total(workload.objects),
+        particles: total(workload.particles.emitters),
+        lights: total(workload.lights),
+        complexity: workload.complexity,
+        shadows: workload.shadows,
+        effects: workload.effects,
+        ...workload.postProcessing
+    };
+}
+
+// Spread total over the groups in proportion to their counts
+function distribute(groups, total) {
+    const current = groups.reduce((sum, group) => sum + group.count, 0);
+    let remaining = total;
+    return groups.map((group, index) => {
+        const count =
+            index === groups.length - 1
+                ? remaining
+                : Math.round(
+                      current > 0
+                          ? (group.count / current) * total
+                          : total / groups.length
+                  );
+        remaining -= count;
+        return { ...group, count: Math.max(0, count) };
+    });
+}
+
+// The workload with the totals and toggles of a settings object (the custom
+// preset edited in the menu)
+export function applySettings(workload, settings) {
+    return {
+        ...workload,
+        complexity: settings.complexity,
+        shadows: settings.shadows,
+        effects: settings.effects,
+        postProcessing: Object.fromEntries(
+            postPasses.map(({ id }) => [id, Boolean(settings[id])])
+        ),
+        objects: distribute(workload.objects, settings.cubes),
+        particles: {
+            ...workload.particles,
+            emitters: distribute(
+                workload.particles.emitters,
+                settings.particles
+            )
+        },
+        lights: distribute(workload.lights, settings.lights)
+    };
+}
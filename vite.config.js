@@ -0,0 +1,13 @@
+import { defineConfig } from "vite";
+
+// Cross-origin isolation unlocks SharedArrayBuffer for the simulation workers
+const isolationHeaders = {
+    "Cross-Origin-Opener-Policy": "same-origin",
+    "Cross-Origin-Embedder-Policy": "require-corp"
+};
+
+export default defineConfig({
+    server: { headers: isolationHeaders },
+    preview: { headers: isolationHeaders },
+    worker: { format: "es" }
+});